@@ -0,0 +1,84 @@
+// Compare ways of parsing a large 'queryLedgerState/utxo' response:
+//
+// - json-bigint: the lossless, pure JavaScript parser, as used on every message before;
+// - Json.parse: which uses the native parser whenever no integer would lose precision;
+// - streaming: parsing entries one by one, as 'ws.streamLedgerState' does.
+//
+// Usage: node --expose-gc bench/parse.mjs [number of entries]
+
+import fs from "node:fs/promises";
+import JsonBig from "@cardanosolutions/json-bigint";
+import { Json, findMember, parseEntries } from "../lib/safe-json.mjs";
+import { sanitizeResponse } from "../lib/bigint-paths.mjs";
+
+const SIZE = Number.parseInt(process.argv[2] ?? "100000", 10);
+
+const METHOD = "queryLedgerState/utxo";
+
+const fixture = JSON.parse(
+  await fs.readFile(
+    new URL("../tests/fixtures/responses/queryLedgerState-utxo.json", import.meta.url),
+  ),
+);
+
+const result = Array.from({ length: SIZE }, (_, ix) => {
+  const entry = structuredClone(fixture.result[ix % fixture.result.length]);
+  entry.transaction.id = ix.toString(16).padStart(64, "0");
+  entry.value.ada.lovelace = 1000000 + ix;
+  return entry;
+});
+
+const text = JSON.stringify({ jsonrpc: "2.0", method: METHOD, result, id: "mdk:1" });
+
+const $ = JsonBig({ useNativeBigInt: true });
+
+console.log(`${SIZE} entries, ${(text.length / 1024 / 1024).toFixed(1)} MiB\n`);
+
+bench("json-bigint", () => sanitizeResponse($.parse(text)).result);
+
+bench("Json.parse", () => Json.parse(text).result);
+
+bench("streaming", (sample) => {
+  let count = 0;
+  for (const _ of parseEntries(text, findMember(text, ["result"])[1], METHOD)) {
+    count += 1;
+    if (count % 10000 === 0) {
+      sample();
+    }
+  }
+  return count;
+});
+
+function bench(name, run) {
+  const before = heapUsed();
+
+  let peak = 0;
+
+  // Time spent measuring the heap, which doesn't count.
+  let sampling = 0;
+
+  const start = performance.now();
+
+  // Results are kept until measured, as an application would.
+  const retained = run(() => {
+    const sampled = performance.now();
+    peak = Math.max(peak, heapUsed() - before);
+    sampling += performance.now() - sampled;
+  });
+
+  const elapsed = performance.now() - start - sampling;
+
+  peak = Math.max(peak, heapUsed() - before);
+
+  const count = Array.isArray(retained) ? retained.length : retained;
+
+  console.log(
+    `${name.padEnd(12)} ${elapsed.toFixed(0).padStart(6)} ms ${(peak / 1024 / 1024).toFixed(1).padStart(8)} MiB peak heap (${count} entries)`,
+  );
+}
+
+// Heap actually in use, after collecting garbage when possible.
+function heapUsed() {
+  globalThis.gc?.();
+  return process.memoryUsage().heapUsed;
+}
@@ -0,0 +1,255 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module bigint_paths
+ * @private
+ */
+
+/**
+ * Where quantities may exceed Number.MAX_SAFE_INTEGER in Ogmios' responses, as described by its
+ * JSON schema (https://ogmios.dev/api/). Paths are described by a small set of combinators:
+ *
+ * - BIGINT: the value is a quantity, always turned into a BigInt;
+ * - DEEP: every integer below, however nested, is a quantity (e.g. metadata);
+ * - each(path): the path applies to every element of an array, or every value of a map;
+ * - { key: path }: the path applies to the value under 'key', when present;
+ * - () => path: a lazy path, for recursive definitions.
+ *
+ * Fields absent from a response are simply skipped, so paths may cover several eras or versions of
+ * the same object at once.
+ *
+ * @private
+ */
+const BIGINT = "bigint";
+
+/** @private */
+const DEEP = "deep";
+
+/** @private */
+const EACH = Symbol("each");
+
+/** @private */
+function each(path) {
+  return { [EACH]: path };
+}
+
+// ------------------------------------------------------------------------------------------ Types
+
+/** @private */
+const Lovelace = { ada: { lovelace: BIGINT }, lovelace: BIGINT };
+
+/** @private */
+const Value = each(each(BIGINT));
+
+/** @private */
+const ExecutionUnits = { memory: BIGINT, cpu: BIGINT };
+
+/** @private */
+const NativeScript = () => ({ atLeast: BIGINT, from: each(NativeScript) });
+
+/** @private */
+const Script = { json: NativeScript };
+
+/** @private */
+const TransactionOutput = { value: Value, script: Script };
+
+/** @private */
+const StakePool = { cost: Lovelace, pledge: Lovelace, stake: Lovelace };
+
+/** @private */
+const ProtocolParameters = {
+  minFeeCoefficient: BIGINT,
+  minFeeConstant: Lovelace,
+  minUtxoDepositCoefficient: BIGINT,
+  minUtxoDepositConstant: Lovelace,
+  minStakePoolCost: Lovelace,
+  stakeCredentialDeposit: Lovelace,
+  stakePoolDeposit: Lovelace,
+  delegateRepresentativeDeposit: Lovelace,
+  governanceActionDeposit: Lovelace,
+  maxExecutionUnitsPerTransaction: ExecutionUnits,
+  maxExecutionUnitsPerBlock: ExecutionUnits,
+};
+
+/** @private */
+const GovernanceProposal = {
+  deposit: Lovelace,
+  action: { withdrawals: each(Lovelace), parameters: ProtocolParameters },
+};
+
+/** @private */
+const Transaction = {
+  outputs: each(TransactionOutput),
+  collateralReturn: TransactionOutput,
+  totalCollateral: Lovelace,
+  fee: Lovelace,
+  mint: Value,
+  withdrawals: each(Lovelace),
+  certificates: each({ deposit: Lovelace, stakePool: StakePool }),
+  proposals: each(GovernanceProposal),
+  treasury: { value: Lovelace, donation: Lovelace },
+  scripts: each(Script),
+  redeemers: each({ executionUnits: ExecutionUnits }),
+  metadata: { labels: each(DEEP) },
+};
+
+/** @private */
+const Block = { transactions: each(Transaction) };
+
+// ---------------------------------------------------------------------------------------- Methods
+
+/**
+ * Paths to quantities in the 'result' of each method. Methods not listed have none.
+ *
+ * @private
+ */
+const RESULTS = {
+  nextBlock: { block: Block },
+  nextTransaction: { transaction: Transaction },
+  evaluateTransaction: each({ budget: ExecutionUnits }),
+  "queryLedgerState/delegateRepresentatives": each({ deposit: Lovelace, stake: Lovelace }),
+  "queryLedgerState/governanceProposals": each(GovernanceProposal),
+  "queryLedgerState/projectedRewards": each(each(Lovelace)),
+  "queryLedgerState/proposedProtocolParameters": each(ProtocolParameters),
+  "queryLedgerState/protocolParameters": ProtocolParameters,
+  "queryLedgerState/rewardAccountSummaries": each({ rewards: Lovelace, deposit: Lovelace }),
+  "queryLedgerState/rewardsProvenance": {
+    totalRewardsInEpoch: Lovelace,
+    activeStakeInEpoch: Lovelace,
+    totalStakeInEpoch: Lovelace,
+    stakePools: each({ stake: Lovelace, ownerStake: Lovelace, parameters: StakePool }),
+  },
+  "queryLedgerState/stakePools": each(StakePool),
+  "queryLedgerState/treasuryAndReserves": { treasury: Lovelace, reserves: Lovelace },
+  "queryLedgerState/utxo": each(TransactionOutput),
+  "queryNetwork/genesisConfiguration": {
+    maxLovelaceSupply: BIGINT,
+    initialFunds: each(Lovelace),
+    initialVouchers: each(Lovelace),
+    initialParameters: ProtocolParameters,
+    updatableParameters: ProtocolParameters,
+  },
+};
+
+/**
+ * Paths to quantities in the 'data' of errors, whichever the method. Errors carry data specific to
+ * their code, but fields of the same name always have the same type.
+ *
+ * @private
+ */
+const ERROR_DATA = {
+  budget: ExecutionUnits,
+  computedTotalCollateral: Lovelace,
+  declaredTotalCollateral: Lovelace,
+  excessivelyLargeOutputs: each(TransactionOutput),
+  expectedDeposit: Lovelace,
+  incompleteWithdrawals: each(Lovelace),
+  insufficientlyFundedOutputs: each({ output: TransactionOutput, minimumRequiredValue: Lovelace }),
+  maximumExecutionUnits: ExecutionUnits,
+  minimumRequiredCollateral: Lovelace,
+  minimumRequiredFee: Lovelace,
+  providedCollateral: Lovelace,
+  providedDeposit: Lovelace,
+  providedExecutionUnits: ExecutionUnits,
+  providedFee: Lovelace,
+  unsuitableCollateralValue: Value,
+  valueConsumed: Value,
+  valueProduced: Value,
+};
+
+/**
+ * Turn into BigInt every quantity of a JSON-RPC response, according to its method. In place.
+ *
+ * @private
+ */
+export function sanitizeResponse(response) {
+  const path = RESULTS[response.method];
+
+  if (path !== undefined && response.result !== undefined) {
+    response.result = sanitize(response.result, path);
+  }
+
+  if (response.error?.data !== undefined) {
+    response.error.data = sanitize(response.error.data, ERROR_DATA);
+  }
+
+  return response;
+}
+
+/**
+ * Turn into BigInt every quantity of an entry of a JSON-RPC result, according to its method. That
+ * is, an element of an array or a value of a map, under the given index or key. In place.
+ *
+ * @private
+ */
+export function sanitizeEntry(method, key, value) {
+  const path = RESULTS[method];
+
+  if (path === undefined) {
+    return value;
+  }
+
+  const entryPath = path[EACH] ?? path[key];
+
+  return entryPath === undefined ? value : sanitize(value, entryPath);
+}
+
+/** @private */
+function sanitize(value, path) {
+  if (typeof path === "function") {
+    return sanitize(value, path());
+  }
+
+  if (path === BIGINT) {
+    return Number.isInteger(value) ? BigInt(value) : value;
+  }
+
+  if (path === DEEP) {
+    return sanitizeDeep(value);
+  }
+
+  if (typeof value !== "object" || value === null) {
+    return value;
+  }
+
+  if (path[EACH] !== undefined) {
+    for (const k in value) {
+      value[k] = sanitize(value[k], path[EACH]);
+    }
+    return value;
+  }
+
+  for (const k in path) {
+    if (value[k] !== undefined) {
+      value[k] = sanitize(value[k], path[k]);
+    }
+  }
+
+  return value;
+}
+
+/** @private */
+function sanitizeDeep(value) {
+  if (Number.isInteger(value)) {
+    return BigInt(value);
+  }
+
+  if (typeof value === "object" && value !== null) {
+    for (const k in value) {
+      value[k] = sanitizeDeep(value[k]);
+    }
+  }
+
+  return value;
+}
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module bin
+ * @private
+ */
+
+import { cli } from "./cli.mjs";
+
+// Output piped into a command which exits early (e.g. 'head') isn't a failure.
+process.stdout.on("error", (e) => {
+  if (e.code !== "EPIPE") {
+    throw e;
+  }
+  process.exit(0);
+});
+
+cli(process.argv.slice(2), {
+  env: process.env,
+  stdout: process.stdout,
+  stderr: process.stderr,
+}).then((code) => {
+  process.exitCode = code;
+});
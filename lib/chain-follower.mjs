@@ -0,0 +1,814 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module chain_follower
+ * @private
+ */
+
+import { InvalidArgumentError, OgmiosAbortError, OgmiosConnectionError } from "./errors.mjs";
+
+/** @private */
+const PIPELINING_DEFAULTS = {
+  fixed: { depth: 100 },
+  adaptive: { minDepth: 10, maxDepth: 500 },
+  bounded: { depth: 100, maxBuffered: 1000 },
+};
+
+/**
+ * Weight of the most recent sample in moving averages.
+ *
+ * @private
+ */
+const SMOOTHING = 0.2;
+
+/** @private */
+export const RECONNECT_DEFAULTS = {
+  retries: Number.POSITIVE_INFINITY,
+  minDelay: 1000,
+  maxDelay: 30000,
+};
+
+/** @private */
+const REMEMBERED_POINTS = 10;
+
+/**
+ * Follow the chain on a given connection, from the given points (or from the tip). Resolves once an
+ * intersection has been found, with a generator function of roll-forward and roll-backward events.
+ * The generator returns as soon as the given signal, if any, is aborted, or the follower stopped.
+ *
+ * Once the generator returns, however it does, nothing more is requested, and replies to requests
+ * still in flight are ignored.
+ *
+ * @private
+ */
+export async function newChainFollower(request, start, count, options = {}) {
+  const pipelining = newPipelining(options.pipelining);
+
+  const { tasks } = await startChainSync(request, start, count, pipelining, options);
+
+  const stopping = new AbortController();
+
+  const signal = anySignal(options.signal, stopping.signal);
+
+  function stop() {
+    stopping.abort();
+    return tasks.stop();
+  }
+
+  /**
+   * @memberOf OgmiosWebSocket
+   * @function asyncChainFollower
+   * @generator
+   * @async
+   * @description
+   *  Yields roll-forward or roll-backward events from a node. This generator terminates after
+   *  yielding all the requested blocks (count), when the follower's signal is aborted, or never if
+   *  following the chain indefinitely.
+   * @returns {Promise<RollForward|RollBackward>}
+   * @see {@link https://ogmios.dev/api/#operation-subscribe-/?NextBlock}
+   */
+  async function* asyncChainFollower() {
+    const abort = newAbortRace(signal);
+
+    try {
+      // First message is always backward, ignore.
+      await abort.race(tasks.pop());
+
+      if (count != undefined) {
+        for (let i = 0; i < count; i += 1) {
+          yield await abort.race(tasks.pop());
+        }
+      } else {
+        // When no count is provided, we effectively have an infinite generator.
+        // Requests are pipelined, so we can simply wait for the next task to be
+        // resolved; more are sent as the pipelining strategy sees fit.
+        let block;
+        while ((block = await abort.race(tasks.pop()))) {
+          yield block;
+        }
+      }
+    } catch (e) {
+      if (!(e instanceof OgmiosAbortError)) {
+        throw e;
+      }
+    } finally {
+      abort.dispose();
+      stop();
+    }
+  }
+
+  asyncChainFollower.stats = pipelining.stats;
+
+  asyncChainFollower.stop = stop;
+
+  return asyncChainFollower;
+}
+
+/**
+ * Follow the chain over connections obtained from 'connect', opening a new one whenever the current
+ * one is lost. Connections are retried with an exponential backoff, and the follower resumes from
+ * the most recent points it has yielded.
+ *
+ * Resolves once an intersection has been found, with the generator function and a 'dispose'
+ * function to close the underlying connection.
+ *
+ * @private
+ */
+export async function newResilientChainFollower(connect, start, count, reconnect, options = {}) {
+  const { retries, minDelay, maxDelay } = {
+    ...RECONNECT_DEFAULTS,
+    ...(typeof reconnect === "object" && reconnect),
+  };
+
+  const pipelining = newPipelining(options.pipelining);
+
+  const stopping = new AbortController();
+
+  const signal = anySignal(options.signal, stopping.signal);
+
+  let disposed = false;
+
+  let connection;
+
+  // Open a new connection and negotiate an intersection, retrying for as long as we can't reach
+  // the server. Failures on an established connection (e.g. no intersection found) are final.
+  async function open(points, remaining) {
+    for (let attempt = 0; ; attempt += 1) {
+      if (signal.aborted) {
+        throw new OgmiosAbortError("aborted.", { cause: signal.reason });
+      }
+
+      connection = undefined;
+      try {
+        connection = await connect();
+
+        if (disposed) {
+          connection.close();
+          throw new OgmiosAbortError("chain follower disposed.");
+        }
+
+        const session = await startChainSync(connection.request, points, remaining, pipelining, {
+          ...options,
+          signal,
+        });
+
+        // First message is always backward, ignore.
+        await session.tasks.pop();
+
+        return session;
+      } catch (e) {
+        if (!(e instanceof OgmiosConnectionError)) {
+          connection?.close();
+          throw e;
+        }
+
+        if (attempt >= retries || disposed) {
+          throw e;
+        }
+
+        await sleep(Math.min(maxDelay, minDelay * 2 ** attempt), signal);
+      }
+    }
+  }
+
+  function dispose() {
+    disposed = true;
+    connection?.close();
+  }
+
+  let session = await open(start, count);
+
+  // Most recent points yielded so far, most recent first. When following from the tip, we only know
+  // of the intersection to begin with. It remains our last resort should the chain switch to a
+  // fork deeper than what we remember of.
+  const initialIntersection = session.intersection;
+
+  let points = [initialIntersection];
+
+  const follower = {
+    dispose,
+    asyncChainFollower: async function* () {
+      const abort = newAbortRace(signal);
+
+      let remaining = count;
+
+      try {
+        while (remaining === undefined || remaining > 0) {
+          if (session === undefined) {
+            try {
+              session = await open([...points, initialIntersection], remaining);
+            } catch (e) {
+              if (e instanceof OgmiosAbortError) {
+                return;
+              }
+              throw e;
+            }
+
+            // The chain may have switched to a fork while we were away. If so, the consumer
+            // must roll back to wherever we found an intersection before resuming.
+            if (!isSamePoint(session.intersection, points[0])) {
+              points = rollBackward(points, session.intersection);
+
+              if (remaining !== undefined) {
+                remaining -= 1;
+              }
+
+              yield { direction: "backward", point: session.intersection, tip: session.tip };
+
+              continue;
+            }
+          }
+
+          let next;
+
+          try {
+            next = await abort.race(session.tasks.pop());
+          } catch (e) {
+            if (disposed || e instanceof OgmiosAbortError) {
+              return;
+            }
+
+            if (!(e instanceof OgmiosConnectionError)) {
+              throw e;
+            }
+
+            session = undefined;
+            continue;
+          }
+
+          if (next.direction === "forward") {
+            points = [{ id: next.block.id, slot: next.block.slot }, ...points];
+            points.length = Math.min(points.length, REMEMBERED_POINTS);
+          } else {
+            points = rollBackward(points, next.point);
+          }
+
+          if (remaining !== undefined) {
+            remaining -= 1;
+          }
+
+          yield next;
+        }
+      } finally {
+        abort.dispose();
+        dispose();
+      }
+    },
+  };
+
+  follower.asyncChainFollower.stats = pipelining.stats;
+
+  // The connection is dedicated to the follower, so there's nothing to drain: closing it is enough.
+  follower.asyncChainFollower.stop = function stop() {
+    stopping.abort();
+    dispose();
+    return Promise.resolve();
+  };
+
+  return follower;
+}
+
+/**
+ * Hold blocks back until they're at least 'confirmations' blocks deep, according to the node's tip.
+ * Roll-backwards within blocks held back are applied silently; only those reaching blocks already
+ * yielded are passed through. Every event is also passed to 'onUnsettled', when given, as soon as
+ * it is received.
+ *
+ * @private
+ */
+export async function* withConfirmations(events, confirmations, onUnsettled) {
+  // Forward events not yet settled, oldest first.
+  let unsettled = [];
+
+  // Slot of the most recent block yielded.
+  let settled;
+
+  for await (const event of events) {
+    onUnsettled?.(event);
+
+    if (event.direction === "forward") {
+      unsettled.push(event);
+    } else {
+      const slot = slotOf(event.point);
+
+      unsettled = unsettled.filter(({ block }) => block.slot <= slot);
+
+      if (settled !== undefined && slot < settled) {
+        settled = slot;
+        yield event;
+      }
+    }
+
+    while (unsettled.length > 0 && depthOf(unsettled[0].block, event.tip) >= confirmations) {
+      const next = unsettled.shift();
+      settled = next.block.slot;
+      yield next;
+    }
+  }
+}
+
+/**
+ * Only yield transactions matching a filter, as given by 'matcher()' at the time each block is
+ * received; blocks without any are skipped. Without a filter, events are passed through as they
+ * are, and so are roll-backwards in any case.
+ *
+ * @private
+ */
+export async function* withFilter(events, matcher) {
+  for await (const event of events) {
+    const match = matcher();
+
+    if (match === undefined || event.direction !== "forward") {
+      yield event;
+      continue;
+    }
+
+    const transactions = (event.block.transactions ?? []).filter((transaction) =>
+      match(transaction, event.block),
+    );
+
+    if (transactions.length > 0) {
+      yield { ...event, block: { ...event.block, transactions } };
+    }
+  }
+}
+
+/**
+ * Turn a filter into a function telling whether a transaction matches it. A transaction matches
+ * when it matches any of the criteria. Outputs sent to the filtered addresses are remembered, so
+ * that transactions spending them later on match as well.
+ *
+ * @private
+ */
+export function newTransactionMatcher(filter) {
+  if (typeof filter !== "object" || filter === null) {
+    throw new InvalidArgumentError(`expected an Object 'filter', got something else: ${filter}`);
+  }
+
+  const { addresses = [], policyIds = [], metadataLabels = [], predicate } = filter;
+
+  for (const [name, criterion] of Object.entries({ addresses, policyIds, metadataLabels })) {
+    if (!Array.isArray(criterion)) {
+      throw new InvalidArgumentError(
+        `expected an Array 'filter.${name}', got something else: ${criterion}`,
+      );
+    }
+  }
+
+  if (predicate !== undefined && typeof predicate !== "function") {
+    throw new InvalidArgumentError(
+      `expected a function 'filter.predicate', got something else: ${predicate}`,
+    );
+  }
+
+  const byAddress = new Set(addresses);
+
+  const byPolicy = new Set(policyIds);
+
+  const byLabel = new Set(metadataLabels.map(String));
+
+  // References of outputs sent to filtered addresses, and not spent yet.
+  const watched = new Set();
+
+  return function match(transaction, block) {
+    let matches = false;
+
+    for (const ref of spentOutputs(transaction)) {
+      matches = watched.delete(ref) || matches;
+    }
+
+    producedOutputs(transaction).forEach(([index, output]) => {
+      if (byAddress.has(output.address)) {
+        watched.add(outputReference(transaction.id, index));
+        matches = true;
+      }
+      matches ||= Object.keys(output.value ?? {}).some((policy) => byPolicy.has(policy));
+    });
+
+    matches ||= Object.keys(transaction.mint ?? {}).some((policy) => byPolicy.has(policy));
+
+    matches ||= Object.keys(transaction.metadata?.labels ?? {}).some((label) => byLabel.has(label));
+
+    matches ||= predicate?.(transaction, block) === true;
+
+    return matches;
+  };
+}
+
+/**
+ * References ('id#index') of the outputs a transaction actually spends: its inputs, or its
+ * collaterals when its scripts failed.
+ *
+ * @private
+ */
+export function spentOutputs(transaction) {
+  const spent = transaction.spends === "collaterals" ? "collaterals" : "inputs";
+  return (transaction[spent] ?? []).map((input) =>
+    outputReference(input.transaction.id, input.index),
+  );
+}
+
+/**
+ * Outputs a transaction actually produces, with their index: its outputs, or its collateral return
+ * when its scripts failed, which comes right after them.
+ *
+ * @private
+ */
+export function producedOutputs(transaction) {
+  if (transaction.spends === "collaterals") {
+    return transaction.collateralReturn === undefined
+      ? []
+      : [[transaction.outputs?.length ?? 0, transaction.collateralReturn]];
+  }
+  return (transaction.outputs ?? []).map((output, index) => [index, output]);
+}
+
+/** @private */
+export function outputReference(id, index) {
+  return `${id}#${index}`;
+}
+
+/**
+ * Decide how many 'nextBlock' requests to keep ahead of the consumer, and keep statistics about
+ * them. Strategies are either:
+ *
+ * - fixed: 'depth' requests ahead of the consumer, counting responses waiting to be consumed;
+ * - bounded: up to 'depth' requests in flight, pausing whenever 'maxBuffered' responses are in
+ *   flight or waiting;
+ * - adaptive: as many requests in flight or waiting as it takes to cover a round trip at the pace
+ *   of the slowest of the network and the consumer, between 'minDepth' and 'maxDepth'.
+ *
+ * A mere integer is a fixed depth.
+ *
+ * @private
+ */
+function newPipelining(options = {}) {
+  if (Number.isInteger(options)) {
+    options = { depth: options };
+  }
+
+  if (typeof options !== "object" || options === null) {
+    throw new InvalidArgumentError(
+      `expected an Integer or an Object 'pipelining', got something else: ${options}`,
+    );
+  }
+
+  const { strategy = "fixed", ...overrides } = options;
+
+  if (!Object.hasOwn(PIPELINING_DEFAULTS, strategy)) {
+    throw new InvalidArgumentError(
+      `expected a known 'pipelining.strategy', got something else: ${strategy}`,
+    );
+  }
+
+  const settings = { ...PIPELINING_DEFAULTS[strategy], ...overrides };
+
+  for (const [name, value] of Object.entries(settings)) {
+    if (!Object.hasOwn(PIPELINING_DEFAULTS[strategy], name)) {
+      throw new InvalidArgumentError(`unexpected 'pipelining.${name}' for a ${strategy} strategy`);
+    }
+    if (!(Number.isInteger(value) && value >= 1)) {
+      throw new InvalidArgumentError(
+        `expected a positive Integer 'pipelining.${name}', got something else: ${value}`,
+      );
+    }
+  }
+
+  if (strategy === "adaptive" && settings.minDepth > settings.maxDepth) {
+    throw new InvalidArgumentError(
+      `expected 'pipelining.minDepth' to be at most 'pipelining.maxDepth': ${settings.minDepth}`,
+    );
+  }
+
+  // Requests of the current session, as counted by 'pipelineBlocks'.
+  let session = { requested: 0, inFlight: 0, buffered: 0 };
+
+  let totalReceived = 0;
+  let totalConsumed = 0;
+
+  // Moving averages and extrema, in milliseconds.
+  let roundTripTime;
+  let minRoundTripTime = Number.POSITIVE_INFINITY;
+  let arrivalInterval;
+  let consumptionInterval;
+
+  let lastArrival;
+  let lastConsumption;
+
+  function depth() {
+    if (strategy !== "adaptive") {
+      return settings.depth;
+    }
+
+    if (arrivalInterval === undefined || consumptionInterval === undefined) {
+      return settings.minDepth;
+    }
+
+    // Past a round trip, responses come back as fast as the slowest side goes, which is therefore
+    // how many requests it takes to never wait on the network; plus one, so the pipeline can grow.
+    const pace = Math.max(arrivalInterval, consumptionInterval, Number.EPSILON);
+    const target = Math.ceil(minRoundTripTime / pace) + 1;
+
+    return Math.min(settings.maxDepth, Math.max(settings.minDepth, target));
+  }
+
+  return {
+    attach(newSession) {
+      session = newSession;
+    },
+
+    wants({ inFlight, buffered }) {
+      switch (strategy) {
+        case "fixed":
+          return inFlight + buffered < settings.depth;
+        case "bounded":
+          return inFlight < settings.depth && inFlight + buffered < settings.maxBuffered;
+        default:
+          return inFlight + buffered < depth();
+      }
+    },
+
+    received(elapsed) {
+      const now = performance.now();
+      totalReceived += 1;
+      roundTripTime = average(roundTripTime, elapsed);
+      minRoundTripTime = Math.min(minRoundTripTime, elapsed);
+      if (lastArrival !== undefined) {
+        arrivalInterval = average(arrivalInterval, now - lastArrival);
+      }
+      lastArrival = now;
+    },
+
+    consumed() {
+      const now = performance.now();
+      totalConsumed += 1;
+      if (lastConsumption !== undefined) {
+        consumptionInterval = average(consumptionInterval, now - lastConsumption);
+      }
+      lastConsumption = now;
+    },
+
+    stats() {
+      return {
+        strategy,
+        depth: depth(),
+        inFlight: session.inFlight,
+        buffered: session.buffered,
+        received: totalReceived,
+        consumed: totalConsumed,
+        roundTripTime,
+        blocksPerSecond: consumptionInterval > 0 ? 1000 / consumptionInterval : undefined,
+      };
+    },
+  };
+}
+
+/** @private */
+function average(mean, sample) {
+  return mean === undefined ? sample : mean + SMOOTHING * (sample - mean);
+}
+
+/**
+ * Negotiate an intersection, and pipeline 'nextBlock' requests from there, as the pipelining
+ * strategy sees fit. The first task resolves with the roll backward to the intersection. The signal
+ * and time limit only apply to the negotiation; pipelined requests are left to whoever awaits them.
+ *
+ * @private
+ */
+async function startChainSync(request, start, count, pipelining, { signal, timeout } = {}) {
+  let intersection;
+  let tip;
+
+  if (start != undefined) {
+    // If an intersection is provided, negotiate that intersection and proceed
+    // from there. Provided it is valid.
+    ({ intersection, tip } = await request(
+      "findIntersection",
+      { points: start },
+      { signal, timeout },
+    ));
+  } else {
+    // If no intersection is provided, find the tip and negotiate an intersection
+    // from the tip.
+    ({ tip } = await request("nextBlock", {}, { signal, timeout }));
+    ({ intersection } = await request("findIntersection", { points: [tip] }, { signal, timeout }));
+  }
+
+  return { intersection, tip, tasks: pipelineBlocks(request, count, pipelining) };
+}
+
+/**
+ * Send 'nextBlock' requests ahead of the consumer. Tasks are popped, oldest first, as the consumer
+ * goes; more requests are sent as responses arrive and as tasks are consumed, for as long as the
+ * pipelining strategy wants them, and up to 'count' blocks. Responses are routed by id, so they
+ * cannot be mistaken for replies to other requests made on the same connection in the meantime.
+ *
+ * @private
+ */
+function pipelineBlocks(request, count, pipelining) {
+  // The first response following an intersection is always a roll backward to that intersection,
+  // which takes one more request.
+  const total = count === undefined ? Number.POSITIVE_INFINITY : count + 1;
+
+  // Requests sent and not consumed yet, most recent first.
+  const tasks = [];
+
+  // Requests sent, and not answered yet.
+  const pending = new Set();
+
+  const session = { requested: 0, inFlight: 0, buffered: 0 };
+
+  let stopped = false;
+
+  pipelining.attach(session);
+
+  function fill() {
+    while (!stopped && session.requested < total && pipelining.wants(session)) {
+      send();
+    }
+  }
+
+  function send() {
+    const sentAt = performance.now();
+
+    const entry = { settled: false, consumed: false };
+
+    function settle() {
+      pending.delete(entry.promise);
+      entry.settled = true;
+      session.inFlight -= 1;
+      if (!entry.consumed) {
+        session.buffered += 1;
+      }
+    }
+
+    entry.promise = request("nextBlock").then(
+      (result) => {
+        settle();
+        pipelining.received(performance.now() - sentAt);
+        fill();
+        return result;
+      },
+      (e) => {
+        // Nothing more is sent on a connection which failed.
+        settle();
+        throw e;
+      },
+    );
+
+    // Requests still in flight when the connection closes are rejected, but nobody may ever be
+    // waiting on them. Errors are still reported to whoever awaits the task.
+    entry.promise.catch(() => {});
+
+    pending.add(entry.promise);
+
+    session.requested += 1;
+    session.inFlight += 1;
+
+    tasks.unshift(entry);
+  }
+
+  fill();
+
+  return {
+    pop() {
+      // Strategies always want a request when none is pending, so there's one unless all were.
+      fill();
+
+      const entry = tasks.pop();
+
+      if (entry === undefined) {
+        return undefined;
+      }
+
+      entry.consumed = true;
+
+      if (entry.settled) {
+        session.buffered -= 1;
+      }
+
+      pipelining.consumed();
+
+      fill();
+
+      return entry.promise;
+    },
+
+    // Send nothing more, and discard responses not consumed yet. Requests can't be taken back
+    // though, so resolves once those still in flight are answered, or the connection closed.
+    stop() {
+      stopped = true;
+
+      for (const entry of tasks) {
+        if (entry.settled) {
+          session.buffered -= 1;
+        }
+        entry.consumed = true;
+      }
+
+      tasks.length = 0;
+
+      return Promise.allSettled(pending).then(() => {});
+    },
+  };
+}
+
+/**
+ * Discard points past the given one, which becomes the most recent.
+ *
+ * @private
+ */
+function rollBackward(points, point) {
+  const slot = slotOf(point);
+  const kept = points.filter((p) => slotOf(p) < slot);
+  return [point, ...kept];
+}
+
+/** @private */
+export function slotOf(point) {
+  return point === "origin" ? -1 : point.slot;
+}
+
+/** @private */
+function depthOf(block, tip) {
+  return tip === "origin" ? 0 : tip.height - block.height;
+}
+
+/** @private */
+function isSamePoint(a, b) {
+  if (a === "origin" || b === "origin") {
+    return a === b;
+  }
+  return a.slot === b.slot && a.id === b.id;
+}
+
+/**
+ * Race promises against an abort signal, rejecting with an OgmiosAbortError once it is aborted. A
+ * single listener serves every race, however many blocks are pipelined.
+ *
+ * @private
+ */
+function newAbortRace(signal) {
+  if (signal === undefined) {
+    return { race: (promise) => promise, dispose() {} };
+  }
+
+  let onAbort;
+
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(new OgmiosAbortError("aborted.", { cause: signal.reason }));
+  });
+
+  aborted.catch(() => {});
+
+  if (signal.aborted) {
+    onAbort();
+  } else {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  return {
+    race: (promise) => Promise.race([aborted, promise]),
+    dispose: () => signal.removeEventListener("abort", onAbort),
+  };
+}
+
+/**
+ * A signal aborted as soon as any of the given ones is, if any.
+ *
+ * @private
+ */
+export function anySignal(...signals) {
+  const defined = signals.filter((signal) => signal !== undefined);
+  return defined.length === 1 ? defined[0] : AbortSignal.any(defined);
+}
+
+/**
+ * Wait for the given delay, or until the signal is aborted.
+ *
+ * @private
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,182 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module checkpoints
+ * @private
+ */
+
+import { Json } from "./safe-json.mjs";
+import { slotOf } from "./chain-follower.mjs";
+
+/** @private */
+const DENSE_CHECKPOINTS = 10;
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @typedef CheckpointStore
+ * @description
+ *  A store of points a chain follower has consumed, from which it can resume. Any of the methods
+ *  may be asynchronous.
+ * @type {object}
+ * @property {function(): Promise<Array<OgmiosWebSocket.Point|"origin">>} load
+ *  Get the stored points, in any order.
+ * @property {function(OgmiosWebSocket.Point): Promise<void>} save
+ *  Store a point whose block has been consumed.
+ * @property {function((OgmiosWebSocket.Point|"origin")): Promise<void>} rollback
+ *  Discard any point past the given one, which becomes the most recent.
+ */
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *  Create a {@link module:@cardano-ogmios/mdk.CheckpointStore} kept in memory. Only a handful of
+ *  points are kept: the most recent ones, and older ones exponentially spaced.
+ * @param {Array<OgmiosWebSocket.Point|"origin">} [points]
+ *  Initial points, if any.
+ * @return {module:@cardano-ogmios/mdk.CheckpointStore}
+ *
+ * @example
+ * const checkpoints = newInMemoryCheckpointStore();
+ *
+ * const chainFollower = await ws.newChainFollower(["origin"], { checkpoints });
+ */
+export function newInMemoryCheckpointStore(points = []) {
+  let checkpoints = spreadCheckpoints(points);
+
+  return {
+    load() {
+      return checkpoints;
+    },
+
+    save(point) {
+      checkpoints = spreadCheckpoints([point, ...checkpoints]);
+    },
+
+    rollback(point) {
+      checkpoints = spreadCheckpoints([
+        point,
+        ...checkpoints.filter((p) => slotOf(p) < slotOf(point)),
+      ]);
+    },
+  };
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *  Create a {@link module:@cardano-ogmios/mdk.CheckpointStore} persisted to a JSON file, which is
+ *  rewritten after each change. Only available on Node.js.
+ * @param {string} filepath
+ *  Path to the JSON file. It is created if it doesn't exist.
+ * @return {module:@cardano-ogmios/mdk.CheckpointStore}
+ *
+ * @example
+ * const checkpoints = newJsonFileCheckpointStore("./checkpoints.json");
+ *
+ * const chainFollower = await ws.newChainFollower(["origin"], { checkpoints });
+ */
+export function newJsonFileCheckpointStore(filepath) {
+  let store;
+
+  // Writes are chained, so that they can't interleave.
+  let written = Promise.resolve();
+
+  async function open() {
+    if (store === undefined) {
+      const fs = await import("node:fs/promises");
+      try {
+        store = newInMemoryCheckpointStore(Json.parse(await fs.readFile(filepath, "utf8")));
+      } catch (e) {
+        if (e.code !== "ENOENT") {
+          throw e;
+        }
+        store = newInMemoryCheckpointStore();
+      }
+    }
+    return store;
+  }
+
+  async function persist() {
+    const points = store.load();
+    const fs = await import("node:fs/promises");
+    const write = written.then(async () => {
+      await fs.writeFile(`${filepath}.tmp`, Json.stringify(points));
+      await fs.rename(`${filepath}.tmp`, filepath);
+    });
+    written = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    async load() {
+      return (await open()).load();
+    },
+
+    async save(point) {
+      (await open()).save(point);
+      await persist();
+    },
+
+    async rollback(point) {
+      (await open()).rollback(point);
+      await persist();
+    },
+  };
+}
+
+/**
+ * Keep the most recent points, and older ones exponentially spaced: one per range of slots twice as
+ * large as the previous one. Points are returned most recent first, as expected by
+ * 'findIntersection'.
+ *
+ * @private
+ */
+export function spreadCheckpoints(points) {
+  const sorted = [...points].sort((a, b) => slotOf(b) - slotOf(a));
+
+  if (sorted.length <= DENSE_CHECKPOINTS) {
+    return sorted;
+  }
+
+  const newest = slotOf(sorted[0]);
+
+  // Keep the oldest point of each range.
+  const ranges = new Map();
+  for (const point of sorted.slice(DENSE_CHECKPOINTS)) {
+    ranges.set(Math.floor(Math.log2(Math.max(1, newest - slotOf(point)))), point);
+  }
+
+  return [...sorted.slice(0, DENSE_CHECKPOINTS), ...ranges.values()];
+}
+
+/**
+ * Record points of the events yielded by a chain follower, once consumed. An event is considered
+ * consumed when the consumer asks for the next one. So on restart, the last event a consumer has
+ * seen may be yielded again.
+ *
+ * @private
+ */
+export async function* withCheckpoints(events, checkpoints) {
+  for await (const event of events) {
+    yield event;
+    if (event.direction === "forward") {
+      await checkpoints.save({ id: event.block.id, slot: event.block.slot });
+    } else {
+      await checkpoints.rollback(event.point);
+    }
+  }
+}
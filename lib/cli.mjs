@@ -0,0 +1,269 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module cli
+ * @private
+ */
+
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import { Json, ogmios } from "./index.mjs";
+import { InvalidArgumentError } from "./errors.mjs";
+
+/** @private */
+const USAGE = `Usage: ogmios-mdk [--url <url>] <command> [<args>]
+
+Commands:
+  query ledger <name> [--params <json>]    Run a ledger-state query.
+  query network <name> [--params <json>]   Run a network query.
+  follow [--from <point>] [--count <n>]    Follow the chain from a point ('<slot>.<hash>', 'origin'
+                                           or 'tip', by default), writing one event per line.
+  submit <file.cbor>                       Submit a transaction.
+  evaluate <file.cbor>                     Evaluate the execution units of a transaction.
+  rpc <method> [<params>]                  Send any request, with params as JSON.
+
+Options:
+  --url <url>   The Ogmios server; $OGMIOS_URL or ws://127.0.0.1:1337 by default.
+  -h, --help    Show this help.
+
+Results are written to stdout as JSON, with large integers intact.
+`;
+
+/** @private */
+const OPTIONS = {
+  url: { type: "string" },
+  params: { type: "string" },
+  from: { type: "string" },
+  count: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Run the command-line tool with the given arguments, and resolve with its exit code: 0 on success,
+ * 1 when the command fails, and 2 on a usage error.
+ *
+ * @private
+ */
+export async function cli(args, { env = {}, stdout, stderr }) {
+  let command;
+
+  try {
+    command = parseCommand(args);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (command === undefined) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  const print = (value) => write(stdout, `${Json.stringify(value)}\n`);
+
+  try {
+    await ogmios(async (ws, done) => {
+      await command.run(ws, print);
+      done();
+    }, command.url ?? env.OGMIOS_URL);
+    return 0;
+  } catch (e) {
+    const data = e.data === undefined ? "" : `\n${Json.stringify(e.data)}`;
+    stderr.write(`${e.name}: ${e.message}${data}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Parse command-line arguments into a command to run on a connection, or nothing when asking for
+ * help. Fails with an InvalidArgumentError on a usage error.
+ *
+ * @private
+ */
+function parseCommand(args) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    throw new InvalidArgumentError(e.message);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    return undefined;
+  }
+
+  const [name, ...rest] = positionals;
+
+  const expect = (count, usage) => {
+    if (rest.length < count[0] || rest.length > count[1]) {
+      throw new InvalidArgumentError(`usage: ogmios-mdk ${name} ${usage}`);
+    }
+  };
+
+  const only = (...allowed) => {
+    const given = ["params", "from", "count"].filter((key) => values[key] !== undefined);
+    const unexpected = given.find((key) => !allowed.includes(key));
+    if (unexpected !== undefined) {
+      throw new InvalidArgumentError(`option '--${unexpected}' doesn't apply to '${name}'.`);
+    }
+  };
+
+  const command = (run) => ({ url: values.url, run });
+
+  switch (name) {
+    case "query": {
+      expect([2, 2], "ledger|network <name> [--params <json>]");
+      only("params");
+      const [scope, query] = rest;
+      const params = values.params === undefined ? undefined : parseJson(values.params, "params");
+      if (scope === "ledger") {
+        return command(async (ws, print) => print(await ws.queryLedgerState(query, params)));
+      }
+      if (scope === "network") {
+        return command(async (ws, print) => print(await ws.queryNetwork(query, params)));
+      }
+      throw new InvalidArgumentError(`unknown query scope '${scope}': expected ledger or network.`);
+    }
+
+    case "follow": {
+      expect([0, 0], "[--from <point>] [--count <n>]");
+      only("from", "count");
+      const start = parsePoint(values.from ?? "tip");
+      const count = values.count === undefined ? undefined : parseCount(values.count);
+      return command(async (ws, print) => {
+        const chainFollower = await ws.newChainFollower(start, count);
+        for await (const event of chainFollower()) {
+          await print(event);
+        }
+      });
+    }
+
+    case "submit":
+    case "evaluate": {
+      expect([1, 1], "<file.cbor>");
+      only();
+      const [file] = rest;
+      return command(async (ws, print) => {
+        const cbor = await readTransaction(file);
+        if (name === "submit") {
+          await print({ transaction: { id: await ws.submitTransaction(cbor) } });
+        } else {
+          await print(await ws.evaluateTransaction(cbor));
+        }
+      });
+    }
+
+    case "rpc": {
+      expect([1, 2], "<method> [<params>]");
+      only();
+      const [method, params] = rest;
+      const parsedParams = params === undefined ? undefined : parseJson(params, "params");
+      return command(async (ws, print) => print(await ws.request(method, parsedParams)));
+    }
+
+    case undefined:
+      throw new InvalidArgumentError("missing command.");
+
+    default:
+      throw new InvalidArgumentError(`unknown command '${name}'.`);
+  }
+}
+
+/** @private */
+function parseJson(text, what) {
+  try {
+    return Json.parse(text);
+  } catch (e) {
+    throw new InvalidArgumentError(`invalid JSON '${what}': ${e.message}`);
+  }
+}
+
+/**
+ * Parse a point as given on the command-line: 'origin', 'tip', or '<slot>.<hash>'. The tip is left
+ * for the chain follower to find, as it does without starting points.
+ *
+ * @private
+ */
+function parsePoint(text) {
+  if (text === "tip") {
+    return undefined;
+  }
+
+  if (text === "origin") {
+    return ["origin"];
+  }
+
+  const [, slot, id] = text.match(/^(\d+)\.([0-9a-fA-F]+)$/) ?? [];
+
+  if (slot === undefined) {
+    throw new InvalidArgumentError(
+      `invalid point '${text}': expected '<slot>.<hash>', 'origin' or 'tip'.`,
+    );
+  }
+
+  return [{ slot: Number(slot), id }];
+}
+
+/** @private */
+function parseCount(text) {
+  const count = Number(text);
+
+  if (!(/^\d+$/.test(text) && count > 0)) {
+    throw new InvalidArgumentError(`invalid count '${text}': expected a positive integer.`);
+  }
+
+  return count;
+}
+
+/**
+ * Read a serialized transaction, either as hex-encoded CBOR, as a text envelope (e.g. from
+ * cardano-cli) with a 'cborHex' field, or as raw CBOR bytes.
+ *
+ * @private
+ */
+async function readTransaction(file) {
+  const bytes = await readFile(file);
+
+  const text = bytes.toString("utf8").trim();
+
+  if (/^(?:[0-9a-fA-F]{2})+$/.test(text)) {
+    return text;
+  }
+
+  if (text.startsWith("{")) {
+    const { cborHex } = parseJson(text, file);
+    if (typeof cborHex !== "string") {
+      throw new InvalidArgumentError(`no 'cborHex' field in text envelope '${file}'.`);
+    }
+    return cborHex;
+  }
+
+  return bytes.toString("hex");
+}
+
+/**
+ * Write to a stream, and wait for it to drain when its buffer is full.
+ *
+ * @private
+ */
+function write(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => stream.once("drain", resolve));
+}
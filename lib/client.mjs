@@ -0,0 +1,356 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module client
+ * @private
+ */
+
+import { RECONNECT_DEFAULTS } from "./chain-follower.mjs";
+import { newWebSocket, openConnection } from "./connection.mjs";
+import { isHttpUrl, newHttpSocket } from "./http-transport.mjs";
+import { newRecordingTransport, newReplayTransport } from "./recording.mjs";
+import { newEventEmitter } from "./event-emitter.mjs";
+import { InvalidArgumentError, OgmiosConnectionError } from "./errors.mjs";
+
+/** @private */
+const DEFAULT_CONNECTION_STRING = "ws://127.0.0.1:1337";
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *  Open a long-lived client to Ogmios, which stays connected until explicitly closed. Queries are
+ *  spread across a pool of connections, if asked for.
+ * @async
+ * @param {string} [connectionString="ws://127.0.0.1:1337"]
+ *  Server's connection string, or localhost. With an `http(s)://` URL, requests are sent as HTTP
+ *  POST requests instead, e.g. where a WebSocket can't be kept open; only stateless operations are
+ *  then available, others fail with a {@link module:@cardano-ogmios/mdk.StatelessTransportError}.
+ * @param {object} [options]
+ * @param {integer} [options.pool=1]
+ *  Number of connections to open. Queries, submissions and evaluations are spread across them in
+ *  turns; chain followers and mempool monitors stick to one of them. Ledger-state acquisitions run
+ *  one after the other on an extra connection, opened on first use.
+ * @param {boolean|object} [options.reconnect]
+ *  Re-open connections with an exponential backoff whenever lost, instead of closing the client.
+ *  Can be an object `{ retries, minDelay, maxDelay }` to tune the backoff; delays are in
+ *  milliseconds. Requests in flight on a lost connection are still rejected.
+ * @param {AbortSignal} [options.signal]
+ *  A signal to abort opening the connections.
+ * @param {integer} [options.timeout]
+ *  A time limit, in milliseconds, for opening the connections.
+ * @param {string} [options.record]
+ *  A file to record the session to, as JSON lines (Node.js only). Every message sent and received
+ *  is recorded verbatim, along with connection events; see
+ *  {@link module:@cardano-ogmios/mdk.RecordedEntry}.
+ * @param {string|Array<module:@cardano-ogmios/mdk.RecordedEntry>} [options.replay]
+ *  A recorded session to play back, instead of connecting to the server. The application must send
+ *  the same requests, in the same order, as when it was recorded.
+ * @return {Promise<module:@cardano-ogmios/mdk.OgmiosClient>}
+ *  A promise resolving once every connection is established.
+ *
+ * @example
+ * const client = await createClient("ws://127.0.0.1:1337", { pool: 4, reconnect: true });
+ *
+ * client.on("reconnecting", (e) => console.warn("connection lost:", e.message));
+ *
+ * const tip = await client.queryLedgerState("tip");
+ *
+ * await client.close();
+ */
+export async function createClient(connectionString = DEFAULT_CONNECTION_STRING, options = {}) {
+  const { client } = await newClient(connectionString, options);
+  return client;
+}
+
+/**
+ * Open a client, and also give access to its first connection and resilient followers, for
+ * 'ogmios' to hand over to applications.
+ *
+ * @private
+ */
+export async function newClient(connectionString = DEFAULT_CONNECTION_STRING, options = {}) {
+  const { pool = 1, reconnect, signal, timeout, record, replay } = options;
+
+  if (!(Number.isInteger(pool) && pool >= 1)) {
+    throw new InvalidArgumentError(
+      `expected a positive Integer 'pool', got something else: ${pool}`,
+    );
+  }
+
+  const { retries, minDelay, maxDelay } = {
+    ...RECONNECT_DEFAULTS,
+    ...(typeof reconnect === "object" && reconnect),
+  };
+
+  let transport = isHttpUrl(connectionString) ? newHttpSocket : newWebSocket;
+
+  if (replay !== undefined) {
+    transport = await newReplayTransport(replay);
+  }
+
+  if (record !== undefined) {
+    transport = newRecordingTransport(transport, record);
+  }
+
+  const events = newEventEmitter();
+
+  // Chain followers recovering from connection losses on their own, on separate connections.
+  const resilientFollowers = new Set();
+
+  let state = "open";
+
+  let ready = Promise.resolve();
+
+  let whenReady;
+
+  let turn = 0;
+
+  const opened = await Promise.allSettled(
+    Array.from({ length: pool }, () =>
+      openConnection(connectionString, { signal, timeout, resilientFollowers, transport }),
+    ),
+  );
+
+  const failure = opened.find(({ status }) => status === "rejected");
+
+  if (failure !== undefined) {
+    opened.forEach(({ value }) => value?.close());
+    await transport.close?.();
+    throw failure.reason;
+  }
+
+  const sockets = opened.map(({ value }) => value);
+
+  sockets.forEach(watch);
+
+  // Ledger-state acquisitions get a connection of their own, opened on first use and kept after
+  // the pool in 'sockets', so that queries sent in turns never run against an acquired state.
+  let ledgerStateSocket;
+
+  function watch(ws, slot) {
+    ws.once("close", (code, reason, data) => {
+      if (state === "closed") {
+        return;
+      }
+
+      const error = new OgmiosConnectionError("connection ended with error.", {
+        code,
+        reason: reason?.toString(),
+        ...(data && { cause: data }),
+      });
+
+      if (reconnect) {
+        reopen(slot, error).catch((e) => events.emit("error", e));
+      } else {
+        shutdown(error);
+      }
+    });
+  }
+
+  async function reopen(slot, error) {
+    if (state !== "reconnecting") {
+      state = "reconnecting";
+      ready = new Promise((resolve, reject) => {
+        whenReady = { resolve, reject };
+      });
+      ready.catch(() => {});
+    }
+
+    events.emit("reconnecting", error);
+
+    for (let attempt = 0; sockets[slot].readyState !== sockets[slot].OPEN; attempt += 1) {
+      if (attempt >= retries) {
+        shutdown(error);
+        return;
+      }
+
+      await sleep(Math.min(maxDelay, minDelay * 2 ** attempt));
+
+      if (state === "closed") {
+        return;
+      }
+
+      try {
+        const ws = await openConnection(connectionString, { resilientFollowers, transport });
+
+        if (state === "closed") {
+          ws.close();
+          return;
+        }
+
+        sockets[slot] = ws;
+
+        watch(ws, slot);
+      } catch (e) {
+        error = e;
+      }
+    }
+
+    if (sockets.every((ws) => ws.readyState === ws.OPEN)) {
+      state = "open";
+      whenReady.resolve();
+      events.emit("open");
+    }
+  }
+
+  // Close everything down, for good.
+  function shutdown(error) {
+    if (state === "closed") {
+      return;
+    }
+
+    state = "closed";
+
+    const closed = error ?? new OgmiosConnectionError("client closed.");
+
+    whenReady?.reject(closed);
+
+    ready = Promise.reject(closed);
+
+    ready.catch(() => {});
+
+    sockets.forEach((ws) => ws.close());
+
+    events.emit("close", error);
+  }
+
+  // Take connections in turns, skipping those being re-opened, or waiting for them if all are.
+  async function pick() {
+    for (let i = 0; i < pool; i += 1) {
+      const ws = sockets[(turn + i) % pool];
+      if (ws.readyState === ws.OPEN) {
+        turn = (turn + i + 1) % pool;
+        return ws;
+      }
+    }
+
+    if (state === "open") {
+      return sockets[turn];
+    }
+
+    await ready;
+
+    return pick();
+  }
+
+  // The connection for ledger-state acquisitions, where they wait for one another.
+  async function acquisitions() {
+    ledgerStateSocket ??= openConnection(connectionString, { resilientFollowers, transport }).then(
+      (ws) => {
+        if (state === "closed") {
+          ws.close();
+          throw new OgmiosConnectionError("client closed.");
+        }
+        sockets[pool] = ws;
+        watch(ws, pool);
+      },
+      (e) => {
+        ledgerStateSocket = undefined;
+        throw e;
+      },
+    );
+
+    await ledgerStateSocket;
+
+    return sockets[pool];
+  }
+
+  /**
+   * @memberOf module:@cardano-ogmios/mdk
+   *
+   * @typedef OgmiosClient
+   * @description
+   *  A long-lived client, exposing the same helpers as {@link OgmiosWebSocket.OgmiosWebSocket}.
+   * @type {object}
+   * @property {function(string, object=, OgmiosWebSocket.RequestOptions=): Promise<any>} request
+   *  Send a request with the given method name and optional parameters, and resolve with its
+   *  result, as {@link OgmiosWebSocket.OgmiosWebSocket}'s `request`.
+   * @property {OgmiosWebSocket.queryLedgerState} queryLedgerState
+   * @property {OgmiosWebSocket.streamLedgerState} streamLedgerState
+   * @property {OgmiosWebSocket.queryNetwork} queryNetwork
+   * @property {OgmiosWebSocket.withLedgerState} withLedgerState
+   * @property {OgmiosWebSocket.queryLedgerStateBatch} queryLedgerStateBatch
+   * @property {OgmiosWebSocket.submitTransaction} submitTransaction
+   * @property {OgmiosWebSocket.evaluateTransaction} evaluateTransaction
+   * @property {OgmiosWebSocket.newChainFollower} newChainFollower
+   * @property {OgmiosWebSocket.newMempoolMonitor} newMempoolMonitor
+   * @property {"open"|"reconnecting"|"closed"} state
+   *  The current state of the client.
+   * @property {Promise<void>} ready
+   *  A promise resolving once every connection is open; rejected if the client closes meanwhile.
+   *  Requests sent while every connection is being re-opened wait for it.
+   * @property {function(string, function): void} on
+   *  Listen to state changes: "reconnecting" (with the error that caused it), "open" once
+   *  reconnected, and "close" (with the error that caused it, if any); and to "error", should
+   *  re-opening a connection fail unexpectedly.
+   * @property {function(string, function): void} once
+   *  Like 'on', for a single event.
+   * @property {function(string, function): void} off
+   *  Remove a listener.
+   * @property {function(): Promise<void>} close
+   *  Close every connection, as well as resilient chain followers, and resolve once done.
+   */
+  const client = {
+    get state() {
+      return state;
+    },
+
+    get ready() {
+      return ready;
+    },
+
+    on: events.on,
+    once: events.once,
+    off: events.off,
+
+    request: async (...args) => (await pick()).request(...args),
+    queryLedgerState: async (...args) => (await pick()).queryLedgerState(...args),
+    async *streamLedgerState(...args) {
+      yield* (await pick()).streamLedgerState(...args);
+    },
+    queryNetwork: async (...args) => (await pick()).queryNetwork(...args),
+    withLedgerState: async (...args) => (await acquisitions()).withLedgerState(...args),
+    queryLedgerStateBatch: async (queries, options) =>
+      (await (options?.point === undefined ? pick() : acquisitions())).queryLedgerStateBatch(
+        queries,
+        options,
+      ),
+    submitTransaction: async (...args) => (await pick()).submitTransaction(...args),
+    evaluateTransaction: async (...args) => (await pick()).evaluateTransaction(...args),
+    newChainFollower: async (...args) => (await pick()).newChainFollower(...args),
+    newMempoolMonitor: async (...args) => (await pick()).newMempoolMonitor(...args),
+
+    close() {
+      resilientFollowers.forEach((follower) => follower.dispose());
+
+      const closed = Promise.all(
+        sockets
+          .filter((ws) => ws.readyState !== ws.CLOSED)
+          .map((ws) => new Promise((resolve) => ws.once("close", resolve))),
+      );
+
+      shutdown();
+
+      return closed.then(() => transport.close?.());
+    },
+  };
+
+  return { client, socket: sockets[0], resilientFollowers };
+}
+
+/** @private */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,1324 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module connection
+ * @private
+ */
+
+import { Json, findMember, parseEntries, peekId } from "./safe-json.mjs";
+import { IsoWebSocket } from "./iso-websocket.mjs";
+import * as ChainFollower from "./chain-follower.mjs";
+import { newFanOut } from "./fan-out.mjs";
+import * as Streams from "./streams.mjs";
+import { spreadCheckpoints, withCheckpoints } from "./checkpoints.mjs";
+import {
+  InvalidArgumentError,
+  OgmiosAbortError,
+  OgmiosConnectionError,
+  OgmiosRpcError,
+  OgmiosTimeoutError,
+  StatelessTransportError,
+  toRpcError,
+} from "./errors.mjs";
+
+/** @private */
+const REQUEST_ID_PREFIX = "mdk:";
+
+/** @private */
+const LEDGER_STATE_ACQUIRED_EXPIRED = 2003;
+
+/**
+ * Methods relying on a state the server keeps for the connection, which stateless transports (i.e.
+ * HTTP) can't send.
+ *
+ * @private
+ */
+const STATEFUL_METHODS = [
+  "findIntersection",
+  "nextBlock",
+  "acquireLedgerState",
+  "releaseLedgerState",
+  "acquireMempool",
+  "nextTransaction",
+  "hasTransaction",
+  "sizeOfMempool",
+  "releaseMempool",
+];
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *   Creates an RPC-2.0 payload from a method, optional params and an optional id.
+ * @param {string} method
+ * @param {object} [params]
+ * @param {any} [id]
+ * @return {string}
+ */
+export function newRpcRequest(method, params = {}, id) {
+  return Json.stringify({
+    jsonrpc: "2.0",
+    method,
+    params,
+    ...(id && { id }),
+  });
+}
+
+/**
+ * Create a WebSocket to the given server. This is the default transport; others (e.g. for recording
+ * or replaying sessions) are functions with the same signature, returning objects with the same
+ * interface.
+ *
+ * @private
+ */
+export function newWebSocket(connectionString) {
+  return new IsoWebSocket(connectionString, {
+    maxPayload: Number.MAX_SAFE_INTEGER,
+  });
+}
+
+/**
+ * Open a new connection, enhanced with helpers, resolving once established. Resilient chain
+ * followers created through the connection are added to the given set, for whoever owns the
+ * connection to dispose of them.
+ *
+ * @private
+ */
+export function openConnection(
+  connectionString,
+  { signal, timeout, resilientFollowers, transport = newWebSocket },
+) {
+  if (signal?.aborted) {
+    return Promise.reject(aborted(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @typedef OgmiosWebSocket
+     * @mixes Websocket
+     * @type {object}
+     * @property {OgmiosWebSocket.rpc} rpc
+     *  Perform an arbitrary rpc query using the given method name and optional parameters.
+     * @property {OgmiosWebSocket.request} request
+     *  Perform an arbitrary rpc query, and wait for its result.
+     * @property {OgmiosWebSocket.queryLedgerState} queryLedgerState
+     *  A short-hand for running a single ledger-state query.
+     * @property {OgmiosWebSocket.streamLedgerState} streamLedgerState
+     *  Run a single ledger-state query, and parse its result entry by entry.
+     * @property {OgmiosWebSocket.queryNetwork} queryNetwork
+     *  A short-hand for running a single network query.
+     * @property {OgmiosWebSocket.withLedgerState} withLedgerState
+     *  Run ledger-state queries against a fixed ledger state.
+     * @property {OgmiosWebSocket.queryLedgerStateBatch} queryLedgerStateBatch
+     *  Run several ledger-state queries at once, and gather their results by key.
+     * @property {OgmiosWebSocket.submitTransaction} submitTransaction
+     *  Submit a serialized transaction to the network.
+     * @property {OgmiosWebSocket.evaluateTransaction} evaluateTransaction
+     *  Evaluate execution units of scripts in a serialized transaction.
+     * @property {OgmiosWebSocket.newChainFollower} newChainFollower
+     *  Create a generator for following the chain from any given point.
+     * @property {OgmiosWebSocket.newMempoolMonitor} newMempoolMonitor
+     *  Create a generator of transactions pending in the mempool.
+     * @see {@link https://github.com/websockets/ws/blob/master/doc/ws.md#class-websocket WebSocket}
+     */
+    const ws = transport(connectionString);
+
+    // Errors are followed by a 'close' event, which is what we really care about once connected.
+    ws.on("error", () => {});
+
+    let timer;
+
+    const onAbort = () => giveUp(aborted(signal));
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    if (timeout !== undefined) {
+      timer = setTimeout(
+        () => giveUp(new OgmiosTimeoutError(`not connected within ${timeout}ms.`, { timeout })),
+        timeout,
+      );
+    }
+
+    function giveUp(e) {
+      cleanup();
+      reject(e);
+      ws.close();
+    }
+
+    const failed = (e) => {
+      cleanup();
+      reject(connectionFailed(e));
+    };
+
+    function cleanup() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      ws.removeListener("error", failed);
+    }
+
+    ws.once("error", failed);
+
+    ws.once("open", () => {
+      cleanup();
+      resolve(ws);
+    });
+
+    // ----------------------------------------------------------------------------- General Helpers
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Perform an arbitrary rpc query using the given method name and optional parameters. This supposes
+     *  that an event listener on `"message"` has been installed.
+     *
+     * @callback rpc
+     * @param {string} method
+     *  The Ogmios RPC method.
+     * @param {object} [params]
+     *  Optional parameters for the method.
+     * @param {any} [id]
+     *  An optional request id.
+     *
+     * @see {@link https://ogmios.dev/api/}
+     *
+     * @example
+     * ws.once("message", (data) => { ... });
+     * ws.rpc('findIntersection', { point: [ "origin" ] }, "my-request-id");
+     * @example
+     * ws.once("message", (data) => { ... });
+     * ws.rpc('queryLedgerState/tip');
+     */
+    ws.rpc = function (method, params, id) {
+      ws.send(newRpcRequest(method, params, id));
+    };
+
+    const request = newRequestRouter(ws);
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Perform an arbitrary rpc query using the given method name and optional parameters, and wait
+     *  for its result. Unlike {@link OgmiosWebSocket.rpc}, there's no need for a listener: the
+     *  response is matched to the request by id, and errors are raised as
+     *  {@link module:@cardano-ogmios/mdk.OgmiosRpcError}.
+     *
+     * @callback request
+     * @param {string} method
+     *  The Ogmios RPC method.
+     * @param {object} [params]
+     *  Optional parameters for the method.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for the request.
+     * @return {Promise<any>}
+     *  A promise holding the result of the request.
+     *
+     * @see {@link https://ogmios.dev/api/}
+     *
+     * @example
+     * const { intersection } = await ws.request("findIntersection", { points: ["origin"] });
+     */
+    ws.request = request;
+
+    // ------------------------------------------------------------------- Local-State-Query Helpers
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  A short-hand for running a single ledger-state query. If a state has been acquired, then it is ran on
+     *  that state. If not, it is ran from the most recent ledger state available.
+     *
+     * @callback queryLedgerState
+     * @param {string} method
+     *  The ledger state query name (without "queryLedgerState/").
+     * @param {object} [params]
+     *  Optional parameters for the query, if any.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for the request.
+     * @return {Promise<any>}
+     *  A promise holding the result for that query.
+     * @example
+     * const tip = await ws.queryLedgerState("tip");
+     */
+    ws.queryLedgerState = function (method, params, options) {
+      return request(`queryLedgerState/${method}`, params, options);
+    };
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Like {@link OgmiosWebSocket.queryLedgerState}, but for very large results, such as the
+     *  entire UTxO set or every stake pool. Rather than building the whole result at once, entries
+     *  are parsed one by one as they're consumed: elements of arrays (e.g. "utxo"), and `[key,
+     *  value]` pairs of objects (e.g. "stakePools"). The response must still be received in full
+     *  before the first entry is yielded.
+     *
+     * @function streamLedgerState
+     * @async
+     * @generator
+     * @param {string} method
+     *  The ledger state query name (without "queryLedgerState/").
+     * @param {object} [params]
+     *  Optional parameters for the query, if any.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for the request.
+     * @yield {any|Array}
+     *  Entries of the result, one at a time.
+     * @example
+     * for await (const utxo of ws.streamLedgerState("utxo", { addresses })) {
+     *   console.log(utxo.transaction.id, utxo.index);
+     * }
+     * @example
+     * for await (const [id, pool] of ws.streamLedgerState("stakePools")) {
+     *   console.log(id, pool.pledge.ada.lovelace);
+     * }
+     */
+    ws.streamLedgerState = async function* streamLedgerState(method, params, options) {
+      const text = await request.unparsed(`queryLedgerState/${method}`, params, options);
+      const [, start] = findMember(text, ["result"]);
+      yield* parseEntries(text, start, `queryLedgerState/${method}`);
+    };
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  A short-hand for running a single network query.
+     *
+     * @callback queryNetwork
+     * @param {string} method
+     *  The ledger state query name (without "queryNetwork/").
+     * @param {object} [params]
+     *  Optional parameters for the query, if any.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for the request.
+     * @return {Promise<any>}
+     *  A promise holding the result for that query.
+     * @example
+     * const startTime = await ws.queryNetwork("startTime");
+     * @example
+     * const tip = await ws.queryNetwork("tip", {}, { timeout: 1000 });
+     */
+    ws.queryNetwork = function (method, params, options) {
+      return request(`queryNetwork/${method}`, params, options);
+    };
+
+    // Settles once the last ledger state acquired on this connection has been released.
+    let ledgerStateReleased = Promise.resolve();
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Acquire the ledger state at a given point, and run the provided callback with it. Every query
+     *  made through the callback's argument runs against that same ledger state, which is released
+     *  once the callback has finished or has thrown. Should the acquired state expire in between
+     *  queries, it is acquired again on the same point when possible.
+     *
+     *  Note that only one ledger state can be acquired at a time on a given connection: others wait
+     *  for it to be released, so a callback mustn't wait on another acquisition on the same
+     *  connection. Other ledger-state queries on that connection also run on the acquired state
+     *  meanwhile.
+     *
+     * @callback withLedgerState
+     * @param {OgmiosWebSocket.Point|"origin"|"tip"} point
+     *  The point at which to acquire the ledger state. "tip" refers to the most recent one.
+     * @param {function(OgmiosWebSocket.LedgerState): Promise<any>} callback
+     *  An async function to run with the acquired state.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for acquiring the state.
+     * @return {Promise<any>}
+     *  A promise holding whatever the callback returns. The promise is rejected with a
+     *  {@link module:@cardano-ogmios/mdk.AcquireLedgerStateError} if the point can't be acquired.
+     * @example
+     * const [utxo, protocolParameters] = await ws.withLedgerState("tip", (state) => Promise.all([
+     *   state.query("utxo", { addresses }),
+     *   state.query("protocolParameters"),
+     * ]));
+     * @see {@link https://ogmios.dev/mini-protocols/local-state-query/}
+     */
+    ws.withLedgerState = async function withLedgerState(point, callback, options) {
+      const previous = ledgerStateReleased;
+
+      let release;
+
+      ledgerStateReleased = new Promise((resolve) => (release = resolve));
+
+      let acquired = false;
+
+      async function acquire() {
+        try {
+          await request("acquireLedgerState", { point }, options);
+          acquired = true;
+        } catch (e) {
+          acquired = false;
+          throw e;
+        }
+      }
+
+      try {
+        await previous;
+
+        if (point === "tip") {
+          point = await ws.queryLedgerState("tip", {}, options);
+        }
+
+        await acquire();
+
+        /**
+         * @memberOf OgmiosWebSocket
+         *
+         * @typedef LedgerState
+         * @description
+         *  A ledger state acquired at a fixed point.
+         * @type {object}
+         * @property {OgmiosWebSocket.Point|"origin"} point
+         *  The point at which the ledger state has been acquired.
+         * @property {OgmiosWebSocket.queryLedgerState} query
+         *  Run a single ledger-state query against the acquired state.
+         */
+        return await callback({
+          point,
+          async query(method, params, options) {
+            try {
+              return await ws.queryLedgerState(method, params, options);
+            } catch (e) {
+              if (!(e instanceof OgmiosRpcError && e.code === LEDGER_STATE_ACQUIRED_EXPIRED)) {
+                throw e;
+              }
+              await acquire();
+              return ws.queryLedgerState(method, params, options);
+            }
+          },
+        });
+      } finally {
+        try {
+          if (acquired && ws.readyState === ws.OPEN) {
+            await request("releaseLedgerState");
+          }
+        } finally {
+          release();
+        }
+      }
+    };
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Run several ledger-state queries at once, and gather their results under the same keys. All
+     *  queries are sent right away, without waiting for one another. When a point is given, they
+     *  all run against the ledger state at that point, as with
+     *  {@link OgmiosWebSocket.withLedgerState}.
+     *
+     * @callback queryLedgerStateBatch
+     * @param {Object<string, string|Array>} queries
+     *  Queries to run, by key. Each query is either a query name (without "queryLedgerState/"), or
+     *  a pair of a query name and its parameters.
+     * @param {object} [options]
+     * @param {OgmiosWebSocket.Point|"origin"|"tip"} [options.point]
+     *  A point at which to acquire the ledger state for all queries. Without it, each query runs on
+     *  the most recent ledger state available when it reaches the server.
+     * @param {boolean} [options.failFast=true]
+     *  Reject as soon as any query fails. Otherwise, resolve with results and errors apart.
+     * @param {AbortSignal} [options.signal]
+     *  A signal to abort the queries.
+     * @param {integer} [options.timeout]
+     *  A time limit, in milliseconds, for each query.
+     * @return {Promise<object>}
+     *  A promise holding results by key. When 'failFast' is false, a promise holding
+     *  `{ results, errors }`, each by key, for queries that succeeded and failed respectively.
+     * @example
+     * const { tip, params, pools } = await ws.queryLedgerStateBatch({
+     *   tip: "tip",
+     *   params: "protocolParameters",
+     *   pools: ["stakePools", { stakePools: [{ id: "pool1..." }] }],
+     * });
+     * @example
+     * const { results, errors } = await ws.queryLedgerStateBatch(
+     *   { epoch: "epoch", treasury: "treasuryAndReserves" },
+     *   { point: "tip", failFast: false },
+     * );
+     */
+    ws.queryLedgerStateBatch = async function queryLedgerStateBatch(queries, options = {}) {
+      const { point, failFast = true, signal, timeout } = options;
+
+      if (typeof queries !== "object" || queries === null || Array.isArray(queries)) {
+        throw new InvalidArgumentError(
+          `expected an Object of queries by key, got something else: ${queries}`,
+        );
+      }
+
+      const batch = Object.entries(queries).map(([key, query]) => {
+        const [method, params] = typeof query === "string" ? [query] : Array.from(query ?? []);
+        if (typeof method !== "string") {
+          throw new InvalidArgumentError(
+            `expected a query name or a [name, params] pair for '${key}', got something else: ${query}`,
+          );
+        }
+        return [key, method, params];
+      });
+
+      const run = async (query) => {
+        const settled = await Promise[failFast ? "all" : "allSettled"](
+          batch.map(([, method, params]) => query(method, params, { signal, timeout })),
+        );
+
+        if (failFast) {
+          return Object.fromEntries(batch.map(([key], ix) => [key, settled[ix]]));
+        }
+
+        const results = {};
+        const errors = {};
+        settled.forEach(({ status, value, reason }, ix) => {
+          if (status === "fulfilled") {
+            results[batch[ix][0]] = value;
+          } else {
+            errors[batch[ix][0]] = reason;
+          }
+        });
+        return { results, errors };
+      };
+
+      if (point === undefined) {
+        return run(ws.queryLedgerState);
+      }
+
+      return ws.withLedgerState(point, (state) => run(state.query), { signal, timeout });
+    };
+
+    // ----------------------------------------------------------------- Local-Tx-Submission Helpers
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Submit a serialized transaction to the network.
+     *
+     * @callback submitTransaction
+     * @param {string} cbor
+     *  A base16-encoded CBOR serialized transaction.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for the request.
+     * @return {Promise<string>}
+     *  A promise holding the id of the submitted transaction. The promise is rejected with a
+     *  {@link module:@cardano-ogmios/mdk.SubmitTransactionError} should the transaction be rejected.
+     * @example
+     * const id = await ws.submitTransaction("84a300...");
+     * @see {@link https://ogmios.dev/api/#operation-publish-/?SubmitTransaction}
+     */
+    ws.submitTransaction = async function submitTransaction(cbor, options) {
+      const { transaction } = await request(
+        "submitTransaction",
+        { transaction: { cbor } },
+        options,
+      );
+      return transaction.id;
+    };
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Evaluate execution units of scripts in a serialized transaction.
+     *
+     * @callback evaluateTransaction
+     * @param {string} cbor
+     *  A base16-encoded CBOR serialized transaction.
+     * @param {Array<object>} [additionalUtxo]
+     *  Additional UTxO entries to use for resolving inputs, when not (yet) available on-chain.
+     * @param {OgmiosWebSocket.RequestOptions} [options]
+     *  Optional abort signal and time limit for the request.
+     * @return {Promise<Array<{ validator: object, budget: { memory: integer, cpu: integer } }>>}
+     *  A promise holding the execution budget of each validator in the transaction. The promise is
+     *  rejected with a {@link module:@cardano-ogmios/mdk.EvaluateTransactionError} should the
+     *  evaluation fail.
+     * @example
+     * const budgets = await ws.evaluateTransaction("84a300...");
+     * @see {@link https://ogmios.dev/api/#operation-publish-/?EvaluateTransaction}
+     */
+    ws.evaluateTransaction = function evaluateTransaction(cbor, additionalUtxo, options) {
+      return request(
+        "evaluateTransaction",
+        {
+          transaction: { cbor },
+          ...(additionalUtxo && { additionalUtxo }),
+        },
+        options,
+      );
+    };
+
+    // -------------------------------------------------------------------- Local-Chain-Sync helpers
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Create a generator of RollForward|RollBackward for following the chain from any given point.
+     *
+     * @callback newChainFollower
+     * @param {Array<OgmiosWebSocket.Point|"origin">} [points]
+     *  Points to use for intersection in order to negotiate for an intersection.
+     * @param {integer} [count]
+     *  Number of blocks to fetch. If omitted, will run indefinitely.
+     * @param {object} [options]
+     * @param {boolean|object} [options.reconnect]
+     *  Follow the chain on a dedicated connection, which is re-opened with an exponential backoff
+     *  whenever lost. The follower then resumes from the last points it yielded, or yields a
+     *  roll-backward first if the chain has switched to a fork in the meantime. Can be an object
+     *  `{ retries, minDelay, maxDelay }` to tune the backoff; delays are in milliseconds.
+     * @param {module:@cardano-ogmios/mdk.CheckpointStore} [options.checkpoints]
+     *  A store recording points as blocks are consumed. When it isn't empty, the follower resumes
+     *  from the stored points instead of the given ones.
+     * @param {integer} [options.confirmations]
+     *  Only yield blocks once they are at least that many blocks deep. Roll-backwards are applied
+     *  to blocks held back, and are only yielded when reaching blocks already yielded.
+     * @param {function((RollForward|RollBackward)): void} [options.onUnsettled]
+     *  With 'confirmations', a callback receiving every event as soon as it is received.
+     * @param {OgmiosWebSocket.TransactionFilter} [options.filter]
+     *  Only yield transactions matching the filter; roll-forwards are skipped altogether when none
+     *  does, but roll-backwards are always yielded. The filter can be changed at any time with
+     *  `setFilter` on the returned function.
+     * @param {integer|OgmiosWebSocket.Pipelining} [options.pipelining]
+     *  How many 'nextBlock' requests to send ahead of the consumer; 100 by default. An integer sets
+     *  another fixed depth. Statistics are available through `stats` on the returned
+     *  function.
+     * @param {AbortSignal} [options.signal]
+     *  A signal to stop following the chain. The generator then returns, as if it had yielded all
+     *  its blocks. If aborted before an intersection is found, the promise is rejected with an
+     *  {@link module:@cardano-ogmios/mdk.OgmiosAbortError}.
+     * @param {integer} [options.timeout]
+     *  A time limit, in milliseconds, for finding an intersection. Past it, the promise is rejected
+     *  with an {@link module:@cardano-ogmios/mdk.OgmiosTimeoutError}.
+     * @return {OgmiosWebSocket.asyncChainFollower}
+     *
+     * @example
+     * const chainFollower = await ws.newChainFollower();
+     *
+     * for await (const { block } of chainFollower()) {
+     *   console.log(block);
+     * }
+     *
+     * @example
+     *  const chainFollower = await ws.newChainFollower(
+     *    [
+     *      {
+     *        id: "3d6f139f9f019668fe0412cacfaeb9e0be42e7b0f6ab21d6bddbc12d771ec18a",
+     *        slot: 86268539,
+     *      },
+     *    ],
+     *    1
+     *  );
+     *
+     *  for await (const { block } of chainFollower()) {
+     *    console.log(block);
+     *  }
+     *
+     * @example
+     * const chainFollower = await ws.newChainFollower(["origin"], {
+     *   checkpoints: newJsonFileCheckpointStore("./checkpoints.json"),
+     * });
+     *
+     * for await (const { block } of chainFollower()) {
+     *   console.log(block);
+     * }
+     *
+     * @example
+     * const chainFollower = await ws.newChainFollower(["origin"], { reconnect: true });
+     *
+     * for await (const { direction, block, point } of chainFollower()) {
+     *   console.log(direction, block?.id ?? point);
+     * }
+     *
+     * @example
+     * const chainFollower = await ws.newChainFollower(["origin"], {
+     *   filter: { addresses: ["addr1..."], metadataLabels: [674] },
+     * });
+     *
+     * for await (const { direction, block } of chainFollower()) {
+     *   if (direction === "forward") {
+     *     console.log(block.height, block.transactions.map(({ id }) => id));
+     *   }
+     * }
+     *
+     * @example
+     * const chainFollower = await ws.newChainFollower(["origin"], {
+     *   pipelining: { strategy: "bounded", depth: 100, maxBuffered: 500 },
+     * });
+     *
+     * setInterval(() => console.log(chainFollower.stats()), 10000).unref();
+     *
+     * for await (const { block } of chainFollower()) {
+     *   await store(block);
+     * }
+     *
+     * @example
+     * const controller = new AbortController();
+     *
+     * const chainFollower = await ws.newChainFollower({ signal: controller.signal, timeout: 5000 });
+     *
+     * process.once("SIGINT", () => controller.abort());
+     *
+     * for await (const { block } of chainFollower()) {
+     *   console.log(block);
+     * }
+     *
+     * @see {@link https://ogmios.dev/api/#operation-subscribe-/?NextBlock}
+     */
+    ws.newChainFollower = async function newChainFollower(start, count, options = {}) {
+      // Sanitize inputs, but allow for shorthand syntax passing only a count, and for omitting
+      // any of the arguments before the options.
+      if (isOptions(count)) {
+        options = count;
+        count = undefined;
+      }
+
+      if (isOptions(start)) {
+        options = start;
+        start = undefined;
+      }
+
+      if (typeof start === "number" && count == undefined) {
+        count = start;
+        start = undefined;
+      }
+
+      if (start != undefined && !Array.isArray(start)) {
+        throw new InvalidArgumentError(
+          `expected an Array to start 'start', got something else: ${Json.stringify(start)}`,
+        );
+      }
+
+      if (count != undefined && !Number.isInteger(count)) {
+        throw new InvalidArgumentError(`expected an Integer 'count', got something else: ${count}`);
+      }
+
+      const { checkpoints, confirmations, onUnsettled, pipelining, signal, timeout } = options;
+
+      let match =
+        options.filter === undefined
+          ? undefined
+          : ChainFollower.newTransactionMatcher(options.filter);
+
+      if (confirmations != undefined && !(Number.isInteger(confirmations) && confirmations >= 0)) {
+        throw new InvalidArgumentError(
+          `expected a positive Integer 'confirmations', got something else: ${confirmations}`,
+        );
+      }
+
+      // Resume from where we left off, if we know of it.
+      if (checkpoints !== undefined) {
+        const points = await checkpoints.load();
+        if (points.length > 0) {
+          start = spreadCheckpoints(points);
+        }
+      }
+
+      let asyncChainFollower;
+
+      let follower;
+
+      if (options.reconnect) {
+        follower = await ChainFollower.newResilientChainFollower(
+          () => connect(connectionString, transport),
+          start,
+          count,
+          options.reconnect,
+          { pipelining, signal, timeout },
+        );
+
+        resilientFollowers.add(follower);
+
+        asyncChainFollower = follower.asyncChainFollower;
+      } else {
+        asyncChainFollower = await ChainFollower.newChainFollower(request, start, count, {
+          pipelining,
+          signal,
+          timeout,
+        });
+      }
+
+      /**
+       * @memberOf OgmiosWebSocket
+       * @function asyncChainFollower
+       * @generator
+       * @async
+       * @description
+       *  Yields roll-forwards and roll-backwards, up to the requested number of blocks, or until the
+       *  follower's signal is aborted.
+       * @returns {Promise<RollForward|RollBackward>}
+       * @property {function(OgmiosWebSocket.TransactionFilter=): void} setFilter
+       *  Replace the filter, from the next block received on. Without a filter, blocks are yielded
+       *  in full.
+       * @property {function(): OgmiosWebSocket.PipeliningStats} stats
+       *  Statistics about the requests pipelined so far, e.g. to tune the pipelining strategy.
+       * @property {function(): Promise<void>} stop
+       *  Stop following the chain: iterations in progress return, and nothing more is requested.
+       *  Breaking out of a `for await` loop does the same. Requests sent ahead can't be taken back,
+       *  so their replies are ignored; the promise resolves once they have all arrived, after which
+       *  the connection can follow the chain again. At the tip, that's only as new blocks come.
+       * @property {function(object=): OgmiosWebSocket.Subscription} subscribe
+       *  Share the follower among several consumers, each iterating over a subscription of its
+       *  own; see {@link OgmiosWebSocket.Subscription}. Subscribers only get events received after
+       *  they subscribed, and the follower itself shouldn't be iterated over anymore. Once the last
+       *  subscriber leaves, the follower is stopped.
+       * @property {function(OgmiosWebSocket.StreamOptions=): Promise<stream.Readable>} toNodeStream
+       *  Follow the chain as a Node.js Readable stream, of events or of NDJSON bytes. Blocks are
+       *  only consumed as the stream is read, and pipelining only requests so many blocks ahead of
+       *  the consumer: a slow sink therefore slows chain sync down. Destroying the stream stops
+       *  the follower.
+       * @property {function(OgmiosWebSocket.StreamOptions=): ReadableStream} toReadableStream
+       *  Like 'toNodeStream', as a WHATWG ReadableStream; cancelling it stops the follower.
+       */
+      function chainFollower() {
+        let events = asyncChainFollower();
+
+        if (confirmations != undefined) {
+          events = ChainFollower.withConfirmations(events, confirmations, onUnsettled);
+        }
+
+        if (checkpoints !== undefined) {
+          events = withCheckpoints(events, checkpoints);
+        }
+
+        // Filtered last, so that skipped blocks are still recorded as checkpoints.
+        return ChainFollower.withFilter(events, () => match);
+      }
+
+      chainFollower.setFilter = function setFilter(filter) {
+        match = filter === undefined ? undefined : ChainFollower.newTransactionMatcher(filter);
+      };
+
+      chainFollower.stats = asyncChainFollower.stats;
+
+      chainFollower.stop = function stop() {
+        // A stopped follower no longer keeps the application going across connection losses.
+        resilientFollowers.delete(follower);
+        return asyncChainFollower.stop();
+      };
+
+      chainFollower.subscribe = newFanOut(chainFollower, chainFollower.stop);
+
+      chainFollower.toNodeStream = function toNodeStream(options) {
+        return Streams.toNodeStream(chainFollower, options, chainFollower.stop);
+      };
+
+      chainFollower.toReadableStream = function toReadableStream(options) {
+        return Streams.toReadableStream(chainFollower, options, chainFollower.stop);
+      };
+
+      return chainFollower;
+    };
+
+    // -------------------------------------------------------------------- Local-Tx-Monitor Helpers
+
+    /**
+     * @memberOf OgmiosWebSocket
+     *
+     * @description
+     *  Acquire a snapshot of the mempool, and create a generator of the transactions pending in the
+     *  mempool. Once a snapshot has been fully consumed, a new one is acquired as soon as the mempool
+     *  changes, yielding only transactions that weren't in the previous snapshot.
+     *
+     * @callback newMempoolMonitor
+     * @param {object} [options]
+     * @param {"all"} [options.fields]
+     *  Set to "all" to yield full transactions. By default, only transaction ids are yielded.
+     * @param {AbortSignal} [options.signal]
+     *  A signal to stop monitoring the mempool. The generator then releases the snapshot, and
+     *  returns.
+     * @param {integer} [options.timeout]
+     *  A time limit, in milliseconds, for acquiring the first snapshot.
+     * @return {OgmiosWebSocket.asyncMempoolMonitor}
+     *
+     * @example
+     * const mempoolMonitor = await ws.newMempoolMonitor();
+     *
+     * for await (const { id } of mempoolMonitor()) {
+     *   console.log(id);
+     * }
+     *
+     * @example
+     * const mempoolMonitor = await ws.newMempoolMonitor();
+     *
+     * const { transactions } = await mempoolMonitor.sizeOfMempool();
+     *
+     * await mempoolMonitor.release();
+     *
+     * @see {@link https://ogmios.dev/mini-protocols/local-tx-monitor/}
+     */
+    ws.newMempoolMonitor = async function newMempoolMonitor(options = {}) {
+      const { signal, timeout } = options;
+
+      const params = options.fields === undefined ? {} : { fields: options.fields };
+
+      let acquired = false;
+
+      async function acquire(options) {
+        await request("acquireMempool", {}, options);
+        acquired = true;
+      }
+
+      async function release() {
+        if (acquired && ws.readyState === ws.OPEN) {
+          acquired = false;
+          await request("releaseMempool");
+        }
+      }
+
+      await acquire({ signal, timeout });
+
+      const stopping = new AbortController();
+
+      // Aborted by the application, or by 'stop'.
+      const monitoring = ChainFollower.anySignal(signal, stopping.signal);
+
+      /**
+       * @memberOf OgmiosWebSocket
+       * @function asyncMempoolMonitor
+       * @generator
+       * @async
+       * @description
+       *  Yields transactions pending in the mempool, indefinitely or until the monitor's signal is
+       *  aborted. The snapshot is released when the consumer exits the loop.
+       * @returns {Promise<Transaction|{ id: string }>}
+       * @property {function(string): Promise<boolean>} hasTransaction
+       *  Check whether a transaction, given by its id, is present in the acquired snapshot.
+       * @property {function(): Promise<object>} sizeOfMempool
+       *  Get the capacity, size and number of transactions of the acquired snapshot.
+       * @property {function(): Promise<void>} release
+       *  Release the acquired snapshot, if any.
+       * @property {function(): void} stop
+       *  Stop monitoring the mempool: iterations in progress return, releasing the snapshot, and
+       *  later ones return right away.
+       * @property {function(OgmiosWebSocket.StreamOptions=): Promise<stream.Readable>} toNodeStream
+       *  Monitor the mempool as a Node.js Readable stream, of transactions or of NDJSON bytes.
+       *  Transactions are only requested as the stream is read. Destroying the stream stops the
+       *  monitor.
+       * @property {function(OgmiosWebSocket.StreamOptions=): ReadableStream} toReadableStream
+       *  Like 'toNodeStream', as a WHATWG ReadableStream; cancelling it stops the monitor.
+       * @see {@link https://ogmios.dev/api/#operation-publish-/?NextTransaction}
+       */
+      async function* asyncMempoolMonitor() {
+        // Transactions that have been seen in the previous snapshot. A new snapshot lists all the
+        // transactions still in the mempool, including those we've already yielded.
+        let previous = new Set();
+        let current = new Set();
+
+        try {
+          if (!acquired) {
+            await acquire({ signal: monitoring });
+          }
+
+          while (true) {
+            const { transaction } = await request("nextTransaction", params, {
+              signal: monitoring,
+            });
+
+            if (transaction === null) {
+              // Acquiring again blocks until the mempool content has changed.
+              previous = current;
+              current = new Set();
+              await acquire({ signal: monitoring });
+              continue;
+            }
+
+            current.add(transaction.id);
+
+            if (!previous.has(transaction.id)) {
+              yield transaction;
+            }
+          }
+        } catch (e) {
+          if (!(e instanceof OgmiosAbortError)) {
+            throw e;
+          }
+        } finally {
+          if (monitoring.aborted) {
+            // The server only replies once done with the request we've given up on, which may be
+            // an acquisition waiting for the mempool to change. No point in waiting for it.
+            release().catch(() => {});
+          } else {
+            await release();
+          }
+        }
+      }
+
+      asyncMempoolMonitor.hasTransaction = (id) => request("hasTransaction", { id });
+
+      asyncMempoolMonitor.sizeOfMempool = () => request("sizeOfMempool");
+
+      asyncMempoolMonitor.release = release;
+
+      asyncMempoolMonitor.stop = function stop() {
+        stopping.abort();
+      };
+
+      asyncMempoolMonitor.toNodeStream = function toNodeStream(options) {
+        return Streams.toNodeStream(asyncMempoolMonitor, options, asyncMempoolMonitor.stop);
+      };
+
+      asyncMempoolMonitor.toReadableStream = function toReadableStream(options) {
+        return Streams.toReadableStream(asyncMempoolMonitor, options, asyncMempoolMonitor.stop);
+      };
+
+      return asyncMempoolMonitor;
+    };
+  });
+}
+
+/**
+ * Dispatch responses to whichever request they belong, using the id that Ogmios echoes back.
+ * Returns a function to send a request under a fresh id, and wait for its response. Any number of
+ * requests may be in flight at the same time. Its 'unparsed' variant resolves with the text of the
+ * response instead, for the caller to parse bit by bit.
+ *
+ * @private
+ */
+function newRequestRouter(ws) {
+  // Requests awaiting a response, indexed by their JSON-RPC id.
+  const pending = new Map();
+
+  let lastRequestId = 0;
+
+  // Requests whose response is wanted as is, unparsed.
+  const raw = new Set();
+
+  // Messages with an id we don't know of are left alone: they are replies to requests sent
+  // manually via 'ws.rpc', and are for other listeners to handle.
+  ws.on("message", (data) => {
+    if (pending.size === 0) {
+      return;
+    }
+
+    if (raw.size > 0) {
+      const text = data.toString();
+
+      const id = peekId(text);
+
+      if (raw.has(id)) {
+        pending.get(id)({ text });
+        return;
+      }
+
+      data = text;
+    }
+
+    const response = Json.parse(data);
+
+    const resolve = pending.get(response.id);
+
+    if (resolve === undefined) {
+      return;
+    }
+
+    resolve(response);
+  });
+
+  // Stateless transports fail requests one by one, rather than closing.
+  ws.on("failed", (id, failure) => {
+    pending.get(id)?.({ failed: failure });
+  });
+
+  // Any request still waiting for a reply will never receive one.
+  ws.once("close", (code, reason) => {
+    for (const resolve of pending.values()) {
+      resolve({ closed: { code, reason: reason?.toString() } });
+    }
+  });
+
+  // Errors are raised from here rather than from the listener, so that their stack trace leads back
+  // to the caller. With 'unparsed', successful responses are given back as text.
+  async function send(method, params, { signal, timeout } = {}, unparsed = false) {
+    if (signal?.aborted) {
+      throw aborted(signal, method);
+    }
+
+    if (ws.readyState !== ws.OPEN) {
+      throw new OgmiosConnectionError("connection closed; cannot send request.", { method });
+    }
+
+    if (ws.stateless && STATEFUL_METHODS.includes(method)) {
+      throw new StatelessTransportError(
+        `'${method}' needs a WebSocket connection; it can't be sent over HTTP.`,
+        { method },
+      );
+    }
+
+    lastRequestId += 1;
+
+    const id = `${REQUEST_ID_PREFIX}${lastRequestId}`;
+
+    const response = await new Promise((resolve) => {
+      let timer;
+
+      const onAbort = () => settle({ cancelled: true });
+
+      // A request given up on is forgotten: a reply arriving later is simply ignored.
+      function settle(response) {
+        pending.delete(id);
+        raw.delete(id);
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        resolve(response);
+      }
+
+      pending.set(id, settle);
+
+      if (unparsed) {
+        raw.add(id);
+      }
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      if (timeout !== undefined) {
+        timer = setTimeout(() => settle({ expired: true }), timeout);
+      }
+
+      ws.send(newRpcRequest(method, params, id));
+    });
+
+    const { closed, failed, cancelled, expired, text, error, result } = response;
+
+    if (cancelled) {
+      throw aborted(signal, method);
+    }
+
+    if (expired) {
+      throw new OgmiosTimeoutError(`no response to '${method}' within ${timeout}ms.`, {
+        method,
+        timeout,
+      });
+    }
+
+    if (closed !== undefined) {
+      throw new OgmiosConnectionError("connection closed before receiving a response.", {
+        ...closed,
+        method,
+      });
+    }
+
+    if (failed !== undefined) {
+      throw new OgmiosConnectionError(`no response to '${method}'.`, { ...failed, method });
+    }
+
+    if (text !== undefined) {
+      if (findMember(text, ["result", "error"])?.[0] === "error") {
+        throw toRpcError(method, params, id, Json.parse(text).error);
+      }
+      return text;
+    }
+
+    if (error !== undefined) {
+      throw toRpcError(method, params, id, error);
+    }
+
+    return result;
+  }
+
+  const request = (method, params, options) => send(method, params, options);
+
+  request.unparsed = (method, params, options) => send(method, params, options, true);
+
+  return request;
+}
+
+/** @private */
+export function aborted(signal, method) {
+  return new OgmiosAbortError(method ? `'${method}' aborted.` : "aborted.", {
+    method,
+    cause: signal.reason,
+  });
+}
+
+/** @private */
+function connectionFailed(e) {
+  return new OgmiosConnectionError(e?.message ?? "connection failed.", { cause: e });
+}
+
+/**
+ * Open a new connection, resolving once established.
+ *
+ * @private
+ */
+function connect(connectionString, transport) {
+  return new Promise((resolve, reject) => {
+    const ws = transport(connectionString);
+
+    // Errors are followed by a 'close' event, which is what we really care about.
+    ws.on("error", () => {});
+
+    const failed = (e) => reject(connectionFailed(e));
+
+    ws.once("error", failed);
+
+    ws.once("open", () => {
+      ws.removeListener("error", failed);
+      resolve({
+        request: newRequestRouter(ws),
+        close: () => ws.close(),
+      });
+    });
+  });
+}
+
+/**
+ * Whether an argument is an object of options; a single point, given by mistake instead of an Array
+ * of points, isn't.
+ *
+ * @private
+ */
+function isOptions(arg) {
+  return (
+    typeof arg === "object" &&
+    arg !== null &&
+    !Array.isArray(arg) &&
+    !Object.hasOwn(arg, "slot") &&
+    !Object.hasOwn(arg, "id")
+  );
+}
+
+/**
+ * @memberOf OgmiosWebSocket
+ *
+ * @typedef Point
+ * @description
+ *  A point on chain.
+ * @type {object}
+ * @property {string} id
+ *  A base-16 encoded header hash.
+ * @property {integer} slot
+ *  An absolute slot number.
+ */
+
+/**
+ * @memberOf OgmiosWebSocket
+ *
+ * @typedef RequestOptions
+ * @description
+ *  Options accepted by every request helper.
+ * @type {object}
+ * @property {AbortSignal} [signal]
+ *  A signal to abort the request with. The request is then rejected with an
+ *  {@link module:@cardano-ogmios/mdk.OgmiosAbortError}, and its eventual response ignored.
+ * @property {integer} [timeout]
+ *  A time limit, in milliseconds, past which the request is rejected with an
+ *  {@link module:@cardano-ogmios/mdk.OgmiosTimeoutError}, and its eventual response ignored.
+ */
+
+/**
+ * @memberOf OgmiosWebSocket
+ *
+ * @typedef TransactionFilter
+ * @description
+ *  Criteria selecting transactions of a chain follower. A transaction is selected when it matches
+ *  any of them.
+ * @type {object}
+ * @property {Array<string>} [addresses]
+ *  Addresses receiving outputs. Transactions later spending those outputs are selected too, as
+ *  long as the follower has seen them being produced.
+ * @property {Array<string>} [policyIds]
+ *  Policies of assets minted, burnt or sent to any output.
+ * @property {Array<integer|string>} [metadataLabels]
+ *  Labels of transaction metadata.
+ * @property {function(object, object): boolean} [predicate]
+ *  A function receiving each transaction and its block, and returning true to select it.
+ */
+
+/**
+ * @memberOf OgmiosWebSocket
+ *
+ * @typedef Pipelining
+ * @description
+ *  A strategy for pipelining 'nextBlock' requests, as one of:
+ *
+ *  - `{ strategy: "fixed", depth }`: `depth` requests ahead of the consumer (100 by default),
+ *    counting blocks waiting to be consumed; no more than that are ever held in memory.
+ *  - `{ strategy: "bounded", depth, maxBuffered }`: up to `depth` requests in flight, pausing
+ *    whenever `maxBuffered` blocks (1000 by default) are in flight or waiting to be consumed; lets
+ *    chain sync run further ahead of a consumer with an uneven pace.
+ *  - `{ strategy: "adaptive", minDepth, maxDepth }`: as many requests ahead of the consumer as it
+ *    takes to never wait on the network, as measured from round-trip times and the pace of the
+ *    consumer; between `minDepth` (10 by default) and `maxDepth` (500 by default).
+ * @type {object}
+ * @property {"fixed"|"bounded"|"adaptive"} [strategy]
+ * @property {integer} [depth]
+ * @property {integer} [maxBuffered]
+ * @property {integer} [minDepth]
+ * @property {integer} [maxDepth]
+ */
+
+/**
+ * @memberOf OgmiosWebSocket
+ *
+ * @typedef PipeliningStats
+ * @type {object}
+ * @property {"fixed"|"bounded"|"adaptive"} strategy
+ * @property {integer} depth
+ *  Current pipelining depth; only ever changes with the adaptive strategy.
+ * @property {integer} inFlight
+ *  Requests sent and not answered yet.
+ * @property {integer} buffered
+ *  Responses received and not consumed yet.
+ * @property {integer} received
+ *  Responses received so far, across reconnections.
+ * @property {integer} consumed
+ *  Responses consumed so far, across reconnections.
+ * @property {number} [roundTripTime]
+ *  Moving average of round-trip times, in milliseconds.
+ * @property {number} [blocksPerSecond]
+ *  Moving average of the pace of the consumer.
+ */
+
+/**
+ * @memberOf OgmiosWebSocket
+ *
+ * @typedef Subscription
+ * @description
+ *  An async iterator over the events of a chain follower, independent from other subscriptions.
+ *  Obtained with `chainFollower.subscribe({ bufferSize, overflow })`, where 'bufferSize' is the
+ *  number of events it may hold unconsumed (100 by default), and 'overflow' what happens past it:
+ *
+ *  - "block" (default): the follower waits for the subscriber to catch up, holding back every
+ *    other subscriber as well;
+ *  - "drop": the oldest event held is discarded;
+ *  - "error": the subscription fails with a
+ *    {@link module:@cardano-ogmios/mdk.SubscriptionOverflowError}.
+ *
+ *  Once the follower is done, or fails, subscribers get the events they hold, and then the end or
+ *  the failure.
+ * @type {object}
+ * @property {function(): void} unsubscribe
+ *  Stop receiving events, discarding those held. Other subscribers aren't affected; once none is
+ *  left, the follower is stopped. Breaking out of a `for await` loop does the same.
+ * @property {integer} dropped
+ *  Number of events discarded so far, with the "drop" policy.
+ */
+
+/**
+ * @memberOf OgmiosWebSocket
+ * @typedef StreamOptions
+ * @type {object}
+ * @property {"object"|"ndjson"} [format="object"]
+ *  Whether the stream carries events as objects, or as bytes of newline-delimited JSON (with large
+ *  integers intact), e.g. to pipe into a file or a compression stream.
+ * @property {integer} [highWaterMark]
+ *  How much the stream may buffer ahead of its consumer: a number of events, except for Node.js
+ *  streams of NDJSON, where it's a number of bytes. The runtime's default otherwise. Beyond that,
+ *  only what the pipelining strategy sends ahead is held in memory.
+ */
@@ -0,0 +1,388 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module errors
+ * @private
+ */
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *  Base class for all errors raised by this library.
+ */
+export class OgmiosError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  A connection which couldn't be established, or which was lost. The underlying error, if any, is
+ *  available as `cause`.
+ *
+ * @property {integer} [code]
+ *  The WebSocket close code, when the connection was closed.
+ * @property {string} [reason]
+ *  The WebSocket close reason, when the connection was closed.
+ * @property {string} [method]
+ *  The method of a request left without response, if any.
+ */
+export class OgmiosConnectionError extends OgmiosError {
+  constructor(message, { code, reason, method, cause } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.code = code;
+    this.reason = reason;
+    this.method = method;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  An operation aborted through an `AbortSignal`. The signal's reason is available as `cause`.
+ *
+ * @property {string} [method]
+ *  The method of the aborted request, if any.
+ */
+export class OgmiosAbortError extends OgmiosError {
+  constructor(message, { method, cause } = {}) {
+    super(message, { cause });
+    this.method = method;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  An operation which didn't complete within the given time limit.
+ *
+ * @property {integer} timeout
+ *  The time limit, in milliseconds.
+ * @property {string} [method]
+ *  The method of the request which timed out, if any.
+ */
+export class OgmiosTimeoutError extends OgmiosError {
+  constructor(message, { method, timeout } = {}) {
+    super(message);
+    this.method = method;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  An argument given to a function of this library which isn't valid.
+ */
+export class InvalidArgumentError extends OgmiosError {}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  A slot, epoch or time beyond the forecast horizon of the ledger, past which slot lengths may
+ *  still change, and conversions can't be trusted.
+ *
+ * @property {integer} slot
+ *  The first slot beyond the horizon.
+ * @property {integer} epoch
+ *  The first epoch beyond the horizon.
+ * @property {Date} date
+ *  When the horizon is reached.
+ */
+export class ForecastHorizonError extends OgmiosError {
+  constructor(message, { slot, epoch, date } = {}) {
+    super(message);
+    this.slot = slot;
+    this.epoch = epoch;
+    this.date = date;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  A subscriber to a chain follower which fell too far behind, with the "error" overflow policy.
+ *
+ * @property {integer} bufferSize
+ *  The size of the subscriber's buffer, which was full.
+ */
+export class SubscriptionOverflowError extends OgmiosError {
+  constructor(message, { bufferSize } = {}) {
+    super(message);
+    this.bufferSize = bufferSize;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  An operation which relies on the server keeping a state for the connection (following the chain,
+ *  acquiring a ledger state, or monitoring the mempool) attempted over HTTP, where it keeps none.
+ *
+ * @property {string} method
+ *  The method of the request which wasn't sent.
+ */
+export class StatelessTransportError extends OgmiosError {
+  constructor(message, { method } = {}) {
+    super(message);
+    this.method = method;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosError
+ *
+ * @description
+ *  An error returned by the server in response to a request.
+ *
+ * @property {integer} code
+ *  The error code returned by Ogmios.
+ * @property {string} message
+ *  A human-readable summary of the failure, as given by the server.
+ * @property {any} data
+ *  Failure-specific details, if any.
+ * @property {string} method
+ *  The method of the failing request.
+ * @property {any} id
+ *  The id of the failing request.
+ *
+ * @see {@link https://ogmios.dev/api/}
+ */
+export class OgmiosRpcError extends OgmiosError {
+  constructor({ code, message, data }, { method, id } = {}) {
+    super(message);
+    this.code = code;
+    this.data = data;
+    this.method = method;
+    this.id = id;
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosRpcError
+ *
+ * @description
+ *  A ledger-state query which isn't available, typically because it doesn't exist in the current
+ *  era of the ledger.
+ */
+export class OgmiosQueryUnavailableError extends OgmiosRpcError {}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosRpcError
+ *
+ * @description
+ *  A transaction rejected by the server, either on submission or on evaluation.
+ *
+ * @property {string} reason
+ *  A symbolic name for the failure (e.g. "ValueNotConserved"), or "UnknownFailure" when the code is
+ *  not recognized.
+ * @property {any} data
+ *  Failure-specific details, if any. Lovelace and asset quantities are parsed as BigInt.
+ *
+ * @see {@link https://ogmios.dev/mini-protocols/local-tx-submission/#errors}
+ */
+export class TransactionError extends OgmiosRpcError {
+  constructor(error, context) {
+    super(error, context);
+    this.reason = TRANSACTION_FAILURES[this.code] ?? "UnknownFailure";
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.TransactionError
+ *
+ * @description
+ *  A transaction rejected by the ledger or the mempool upon submission.
+ */
+export class SubmitTransactionError extends TransactionError {}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.TransactionError
+ *
+ * @description
+ *  A transaction which couldn't be evaluated. When scripts fail (code 3010), `data` is a list of
+ *  `{ validator, error }` for each failing validator.
+ */
+export class EvaluateTransactionError extends TransactionError {}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ * @extends module:@cardano-ogmios/mdk.OgmiosRpcError
+ *
+ * @description
+ *  A ledger state which couldn't be acquired, or which is no longer available. Ledger states can
+ *  only be acquired for points in the volatile part of the chain (i.e. the last k blocks).
+ *
+ * @property {OgmiosWebSocket.Point|"origin"} point
+ *  The point that couldn't be acquired.
+ * @property {string} [failure]
+ *  The reason given by the server, if any (e.g. "pointTooOld" or "pointNotOnChain").
+ *
+ * @see {@link https://ogmios.dev/mini-protocols/local-state-query/#errors}
+ */
+export class AcquireLedgerStateError extends OgmiosRpcError {
+  constructor(error, { point, ...context } = {}) {
+    super(error, context);
+    this.point = point;
+    this.failure = this.data?.failure;
+  }
+}
+
+/**
+ * Turn an error returned by the server into the most specific error class for the request.
+ *
+ * @private
+ */
+export function toRpcError(method, params, id, error) {
+  const context = { method, id };
+
+  switch (method) {
+    case "submitTransaction":
+      return new SubmitTransactionError(error, context);
+    case "evaluateTransaction":
+      return new EvaluateTransactionError(error, context);
+    case "acquireLedgerState":
+      if (error.code === ACQUIRE_LEDGER_STATE_FAILURE) {
+        return new AcquireLedgerStateError(error, { ...context, point: params?.point });
+      }
+      break;
+    default:
+      if (QUERY_UNAVAILABLE.includes(error.code)) {
+        return new OgmiosQueryUnavailableError(error, context);
+      }
+  }
+
+  return new OgmiosRpcError(error, context);
+}
+
+/** @private */
+const ACQUIRE_LEDGER_STATE_FAILURE = 2000;
+
+/** @private */
+const QUERY_UNAVAILABLE = [
+  // Era mismatch
+  2001,
+  // Unavailable in current era
+  2002,
+];
+
+/** @private */
+const TRANSACTION_FAILURES = {
+  [-32602]: "InvalidParams",
+  3000: "IncompatibleEra",
+  3001: "UnsupportedEra",
+  3002: "OverlappingAdditionalUtxo",
+  3003: "NodeTipTooOld",
+  3004: "CannotCreateEvaluationContext",
+  3005: "EraMismatch",
+  3010: "ScriptExecutionFailure",
+  3011: "InvalidRedeemerPointers",
+  3012: "ValidationFailure",
+  3013: "UnsuitableOutputReference",
+  3100: "InvalidSignatories",
+  3101: "MissingSignatories",
+  3102: "MissingScripts",
+  3103: "FailingNativeScript",
+  3104: "ExtraneousScripts",
+  3105: "MissingMetadataHash",
+  3106: "MissingMetadata",
+  3107: "MetadataHashMismatch",
+  3108: "InvalidMetadata",
+  3109: "MissingRedeemers",
+  3110: "ExtraneousRedeemers",
+  3111: "MissingDatums",
+  3112: "ExtraneousDatums",
+  3113: "ScriptIntegrityHashMismatch",
+  3114: "OrphanScriptInputs",
+  3115: "MissingCostModels",
+  3116: "MalformedScripts",
+  3117: "UnknownOutputReferences",
+  3118: "OutsideOfValidityInterval",
+  3119: "TransactionTooLarge",
+  3120: "ValueTooLarge",
+  3121: "EmptyInputSet",
+  3122: "TransactionFeeTooSmall",
+  3123: "ValueNotConserved",
+  3124: "NetworkMismatch",
+  3125: "InsufficientlyFundedOutputs",
+  3126: "BootstrapAttributesTooLarge",
+  3127: "MintingOrBurningAda",
+  3128: "InsufficientCollateral",
+  3129: "CollateralLockedByScript",
+  3130: "UnforeseeableSlot",
+  3131: "TooManyCollateralInputs",
+  3132: "MissingCollateralInputs",
+  3133: "NonAdaCollateral",
+  3134: "ExecutionUnitsTooLarge",
+  3135: "TotalCollateralMismatch",
+  3136: "SpendsMismatch",
+  3137: "UnauthorizedVotes",
+  3138: "UnknownGovernanceProposals",
+  3139: "InvalidProtocolParametersUpdate",
+  3140: "UnknownStakePool",
+  3141: "IncompleteWithdrawals",
+  3142: "RetirementTooLate",
+  3143: "StakePoolCostTooLow",
+  3144: "MetadataHashTooLarge",
+  3145: "CredentialAlreadyRegistered",
+  3146: "UnknownCredential",
+  3147: "NonEmptyRewardAccount",
+  3148: "InvalidGenesisDelegation",
+  3149: "InvalidMIRTransfer",
+  3150: "ForbiddenWithdrawal",
+  3151: "CredentialDepositMismatch",
+  3152: "DRepAlreadyRegistered",
+  3153: "DRepNotRegistered",
+  3154: "UnknownConstitutionalCommitteeMember",
+  3155: "GovernanceProposalDepositMismatch",
+  3156: "ConflictingCommitteeUpdate",
+  3157: "InvalidCommitteeUpdate",
+  3158: "TreasuryWithdrawalMismatch",
+  3159: "InvalidOrMissingPreviousProposals",
+  3160: "VotingOnExpiredActions",
+  3161: "ExecutionBudgetOutOfBounds",
+  3162: "InvalidHardForkVersionBump",
+  3163: "ConstitutionGuardrailsHashMismatch",
+  3164: "ConflictingInputsAndReferences",
+  3165: "UnauthorizedGovernanceAction",
+  3166: "ReferenceScriptsTooLarge",
+  3167: "UnknownVoters",
+  3168: "EmptyTreasuryWithdrawal",
+  3997: "UnexpectedMempoolError",
+  3998: "UnrecognizedCertificateType",
+  3999: "InternalLedgerTypeConversionError",
+};
@@ -0,0 +1,52 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module event_emitter
+ * @private
+ */
+
+/**
+ * A minimal event emitter, available in browsers as well.
+ *
+ * @private
+ */
+export function newEventEmitter() {
+  const listeners = new Map();
+
+  function on(event, listener) {
+    listeners.set(event, [...(listeners.get(event) ?? []), listener]);
+  }
+
+  function off(event, listener) {
+    listeners.set(
+      event,
+      (listeners.get(event) ?? []).filter((l) => l !== listener && l.listener !== listener),
+    );
+  }
+
+  function once(event, listener) {
+    const wrapped = (...args) => {
+      off(event, wrapped);
+      listener(...args);
+    };
+    wrapped.listener = listener;
+    on(event, wrapped);
+  }
+
+  function emit(event, ...args) {
+    (listeners.get(event) ?? []).forEach((listener) => listener(...args));
+  }
+
+  return { on, once, off, emit };
+}
@@ -0,0 +1,264 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module fan_out
+ * @private
+ */
+
+import { InvalidArgumentError, SubscriptionOverflowError } from "./errors.mjs";
+
+/** @private */
+const SUBSCRIPTION_DEFAULTS = {
+  bufferSize: 100,
+  overflow: "block",
+};
+
+/** @private */
+const OVERFLOW_POLICIES = ["block", "drop", "error"];
+
+/**
+ * Share the events of a generator function among any number of subscribers. The generator is only
+ * iterated once, from the first subscription on, and each event is handed to every subscriber at
+ * the time. Subscribers each have a buffer of their own; what happens when it is full depends on
+ * their overflow policy:
+ *
+ * - block: stop pulling events until the subscriber catches up, holding back every subscriber;
+ * - drop: discard the oldest event buffered;
+ * - error: end the subscription with a SubscriptionOverflowError.
+ *
+ * Events are only pulled while there's at least one subscriber. Once the generator returns, or
+ * fails, subscribers get whatever they have buffered, and then the end or the failure.
+ *
+ * The fan-out owns the generator: once the last subscriber leaves, it's closed, calling 'stop' if
+ * any so that an event being waited for doesn't hold it back. Later subscriptions end right away.
+ *
+ * @private
+ */
+export function newFanOut(source, stop) {
+  const subscribers = new Set();
+
+  let started = false;
+
+  // Whether every subscriber left, and the generator is being closed.
+  let stopped = false;
+
+  // Once the source is over: { error } when it failed, {} otherwise.
+  let outcome;
+
+  // Resolves the pump's wait for room, if it's waiting.
+  let wakeUp;
+
+  function hasRoom() {
+    if (subscribers.size === 0) {
+      return false;
+    }
+
+    for (const subscriber of subscribers) {
+      if (subscriber.overflow === "block" && subscriber.buffer.length >= subscriber.bufferSize) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  function notify() {
+    if (wakeUp !== undefined && hasRoom()) {
+      wakeUp();
+      wakeUp = undefined;
+    }
+  }
+
+  // Close the generator once nobody is left to hand its events to.
+  function release() {
+    if (subscribers.size > 0 || !started || outcome !== undefined || stopped) {
+      return;
+    }
+
+    stopped = true;
+
+    stop?.()?.catch?.(() => {});
+
+    if (wakeUp !== undefined) {
+      wakeUp();
+      wakeUp = undefined;
+    }
+  }
+
+  async function pump() {
+    try {
+      const events = source();
+
+      for (;;) {
+        if (!hasRoom() && !stopped) {
+          await new Promise((resolve) => {
+            wakeUp = resolve;
+          });
+        }
+
+        if (stopped) {
+          await events.return();
+          break;
+        }
+
+        const { done, value } = await events.next();
+
+        if (done) {
+          break;
+        }
+
+        for (const subscriber of subscribers) {
+          subscriber.push(value);
+        }
+      }
+
+      outcome = {};
+    } catch (error) {
+      outcome = { error };
+    }
+
+    for (const subscriber of subscribers) {
+      subscriber.end(outcome);
+    }
+  }
+
+  return function subscribe(options = {}) {
+    const { bufferSize, overflow } = { ...SUBSCRIPTION_DEFAULTS, ...options };
+
+    if (!(Number.isInteger(bufferSize) && bufferSize >= 1)) {
+      throw new InvalidArgumentError(
+        `expected a positive Integer 'bufferSize', got something else: ${bufferSize}`,
+      );
+    }
+
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new InvalidArgumentError(
+        `expected 'overflow' to be one of ${OVERFLOW_POLICIES}, got something else: ${overflow}`,
+      );
+    }
+
+    // Events not consumed yet, oldest first.
+    const buffer = [];
+
+    // A pending call to 'next', waiting for an event.
+    let waiting;
+
+    // Once the subscription is over: { error } when it failed, {} otherwise.
+    let ended;
+
+    let dropped = 0;
+
+    const subscriber = {
+      buffer,
+      bufferSize,
+      overflow,
+
+      push(value) {
+        if (waiting !== undefined) {
+          waiting.resolve({ done: false, value });
+          waiting = undefined;
+        } else if (buffer.length < bufferSize || overflow === "block") {
+          buffer.push(value);
+        } else if (overflow === "drop") {
+          buffer.shift();
+          buffer.push(value);
+          dropped += 1;
+        } else {
+          buffer.length = 0;
+          subscribers.delete(subscriber);
+          release();
+          ended = {
+            error: new SubscriptionOverflowError(
+              `subscriber lagging behind by more than ${bufferSize} events.`,
+              { bufferSize },
+            ),
+          };
+        }
+      },
+
+      end(outcome) {
+        subscribers.delete(subscriber);
+        ended ??= outcome;
+        if (waiting !== undefined) {
+          settle(waiting);
+          waiting = undefined;
+        }
+      },
+    };
+
+    function settle({ resolve, reject }) {
+      if (ended.error !== undefined) {
+        const { error } = ended;
+        // Failures are reported only once; the subscription is over past them.
+        ended = {};
+        reject(error);
+      } else {
+        resolve({ done: true, value: undefined });
+      }
+    }
+
+    function unsubscribe() {
+      buffer.length = 0;
+      subscriber.end({});
+      notify();
+      release();
+    }
+
+    if (outcome !== undefined) {
+      ended = outcome;
+    } else {
+      subscribers.add(subscriber);
+
+      if (!started) {
+        started = true;
+        pump();
+      } else {
+        notify();
+      }
+    }
+
+    return {
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+
+      next() {
+        if (buffer.length > 0) {
+          const value = buffer.shift();
+          notify();
+          return Promise.resolve({ done: false, value });
+        }
+
+        return new Promise((resolve, reject) => {
+          if (ended !== undefined) {
+            settle({ resolve, reject });
+          } else {
+            waiting = { resolve, reject };
+          }
+        });
+      },
+
+      return() {
+        unsubscribe();
+        return Promise.resolve({ done: true, value: undefined });
+      },
+
+      unsubscribe,
+
+      get dropped() {
+        return dropped;
+      },
+    };
+  };
+}
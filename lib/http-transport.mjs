@@ -0,0 +1,130 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module http_transport
+ * @private
+ */
+
+import { newEventEmitter } from "./event-emitter.mjs";
+import { OgmiosError } from "./errors.mjs";
+import { peekId } from "./safe-json.mjs";
+
+/**
+ * Whether a connection string points to Ogmios' HTTP endpoint, rather than to its WebSocket.
+ *
+ * @private
+ */
+export function isHttpUrl(connectionString) {
+  return /^https?:\/\//i.test(connectionString);
+}
+
+/**
+ * A WebSocket-like object sending each message as an HTTP POST request, and receiving the response
+ * as a message. There's no connection as such: it opens straight away, and the server keeps no
+ * state between requests, which is why the socket is marked as 'stateless'.
+ *
+ * A request which gets no JSON-RPC response (e.g. an unreachable server, or a proxy failing) fails
+ * on its own, through a 'failed' event carrying its id, the HTTP status as 'code' if any, and a
+ * 'reason'. There's no connection to lose, so the socket stays open for the next requests.
+ *
+ * @private
+ */
+export function newHttpSocket(connectionString) {
+  const events = newEventEmitter();
+
+  // Aborts requests in flight when closing.
+  const closing = new AbortController();
+
+  const socket = {
+    CONNECTING: 0,
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3,
+
+    readyState: 0,
+
+    stateless: true,
+
+    on: events.on,
+    once: events.once,
+    off: events.off,
+    removeListener: events.off,
+
+    send(data) {
+      if (socket.readyState !== socket.OPEN) {
+        throw new OgmiosError("cannot send on a closed connection.");
+      }
+
+      post(data).then(({ text, failure }) => {
+        if (socket.readyState !== socket.OPEN) {
+          return;
+        }
+        if (failure === undefined) {
+          events.emit("message", text);
+        } else {
+          events.emit("failed", peekId(data), failure);
+        }
+      });
+    },
+
+    close(code = 1000, reason = "") {
+      if (socket.readyState === socket.CLOSED) {
+        return;
+      }
+
+      closing.abort();
+
+      closed(code, reason);
+    },
+  };
+
+  // Resolves with the response's text, or with the reason why there's none.
+  async function post(data) {
+    try {
+      const response = await fetch(connectionString, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: data,
+        signal: closing.signal,
+      });
+
+      const text = await response.text();
+
+      // Ogmios replies with a JSON-RPC error and a 4xx or 5xx status when a request fails; anything
+      // else comes from somewhere else.
+      if (!text.trimStart().startsWith("{")) {
+        const reason = `HTTP ${response.status} ${response.statusText}`;
+        return { failure: { code: response.status, reason } };
+      }
+
+      return { text };
+    } catch (e) {
+      return { failure: { reason: e.message, cause: e } };
+    }
+  }
+
+  function closed(code, reason) {
+    socket.readyState = socket.CLOSED;
+    setTimeout(() => events.emit("close", code, reason));
+  }
+
+  setTimeout(() => {
+    if (socket.readyState === socket.CONNECTING) {
+      socket.readyState = socket.OPEN;
+      events.emit("open");
+    }
+  });
+
+  return socket;
+}
@@ -0,0 +1,273 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module recording
+ * @private
+ */
+
+import { Json } from "./safe-json.mjs";
+import { newEventEmitter } from "./event-emitter.mjs";
+import { OgmiosError } from "./errors.mjs";
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @typedef RecordedEntry
+ * @description
+ *  A line of a recorded session. Sessions are recorded as JSON lines, one per event, in the order
+ *  they happened.
+ * @type {object}
+ * @property {string} at
+ *  When the event happened, as an ISO-8601 date.
+ * @property {integer} connection
+ *  The connection the event belongs to, numbered from 0 in the order connections were opened.
+ * @property {"open"|"send"|"receive"|"close"|"error"|"failed"} type
+ *  The kind of event; "failed" is for a request sent over HTTP which got no response.
+ * @property {object} [message]
+ *  With "send" and "receive", the JSON-RPC message as sent or received. Numbers are kept as is.
+ * @property {string} [id]
+ *  With "failed", the id of the request.
+ * @property {integer} [code]
+ *  With "close", the close code; with "failed", the HTTP status, if any.
+ * @property {string} [reason]
+ *  With "close", the close reason; with "error", the error message; with "failed", what went
+ *  wrong.
+ */
+
+/**
+ * Wrap a transport so that every connection it opens is recorded, as JSON lines, to the given file.
+ * Messages are written verbatim, so that numbers remain exactly as they were. The returned
+ * transport has a 'close' function, resolving once everything has been written.
+ *
+ * @private
+ */
+export function newRecordingTransport(transport, filepath) {
+  const log = newJsonLinesWriter(filepath);
+
+  let connections = 0;
+
+  function recordingTransport(connectionString) {
+    const connection = connections;
+
+    connections += 1;
+
+    const ws = transport(connectionString);
+
+    const record = (type, fields = {}, message) => {
+      const entry = Json.stringify({ at: new Date().toISOString(), connection, type, ...fields });
+      log.write(message === undefined ? entry : `${entry.slice(0, -1)},"message":${message}}`);
+    };
+
+    const send = ws.send.bind(ws);
+
+    ws.send = (data) => {
+      record("send", {}, singleLine(data));
+      send(data);
+    };
+
+    ws.on("open", () => record("open"));
+
+    ws.on("message", (data) => record("receive", {}, singleLine(data)));
+
+    ws.on("close", (code, reason) => record("close", { code, reason: reason?.toString() }));
+
+    ws.on("error", (e) => record("error", { reason: e?.message }));
+
+    ws.on("failed", (id, { code, reason }) => record("failed", { id, code, reason }));
+
+    return ws;
+  }
+
+  recordingTransport.close = log.flush;
+
+  return recordingTransport;
+}
+
+/**
+ * A transport which, instead of connecting anywhere, plays back a recorded session. Each connection
+ * opened replays the recorded connection with the same number. Recorded messages are received as
+ * soon as the requests preceding them in the recording have been sent, so the application must send
+ * the same requests, in the same order, as it did when recorded. Otherwise, sending fails with an
+ * {@link module:@cardano-ogmios/mdk.OgmiosError}.
+ *
+ * @private
+ */
+export async function newReplayTransport(source) {
+  const entries = typeof source === "string" ? await readJsonLines(source) : source;
+
+  let connections = 0;
+
+  return function replayTransport() {
+    const connection = connections;
+
+    connections += 1;
+
+    return newReplaySocket(entries.filter((entry) => entry.connection === connection));
+  };
+}
+
+/**
+ * A WebSocket-like object, playing back the given entries.
+ *
+ * @private
+ */
+function newReplaySocket(entries) {
+  const events = newEventEmitter();
+
+  let cursor = 0;
+
+  const socket = {
+    CONNECTING: 0,
+    OPEN: 1,
+    CLOSING: 2,
+    CLOSED: 3,
+
+    readyState: 0,
+
+    on: events.on,
+    once: events.once,
+    off: events.off,
+    removeListener: events.off,
+
+    send(data) {
+      if (socket.readyState !== socket.OPEN) {
+        throw new OgmiosError("cannot send on a closed connection.");
+      }
+
+      const { method, id } = Json.parse(data);
+
+      const expected = entries[cursor];
+
+      if (expected?.type !== "send") {
+        throw new OgmiosError(`replay diverged: unexpected request '${method}'.`);
+      }
+
+      if (expected.message.method !== method || expected.message.id !== id) {
+        throw new OgmiosError(
+          `replay diverged: expected request '${expected.message.method}' (id: ${expected.message.id}), got '${method}' (id: ${id}).`,
+        );
+      }
+
+      cursor += 1;
+
+      setTimeout(playback);
+    },
+
+    close(code = 1000, reason = "") {
+      if (socket.readyState === socket.CLOSED) {
+        return;
+      }
+
+      closed(code, reason);
+    },
+  };
+
+  function closed(code, reason) {
+    socket.readyState = socket.CLOSED;
+    setTimeout(() => events.emit("close", code, reason));
+  }
+
+  // Play everything up to the next request.
+  function playback() {
+    while (socket.readyState !== socket.CLOSED && cursor < entries.length) {
+      const entry = entries[cursor];
+
+      switch (entry.type) {
+        case "send":
+          return;
+        case "open":
+          socket.readyState = socket.OPEN;
+          events.emit("open");
+          break;
+        case "receive":
+          events.emit("message", Json.stringify(entry.message));
+          break;
+        case "error":
+          events.emit("error", new Error(entry.reason));
+          break;
+        case "failed":
+          events.emit("failed", entry.id, { code: entry.code, reason: entry.reason });
+          break;
+        case "close":
+          closed(entry.code, entry.reason);
+          break;
+      }
+
+      cursor += 1;
+    }
+  }
+
+  setTimeout(playback);
+
+  return socket;
+}
+
+/**
+ * Append lines to a file, in batches. The file is truncated first.
+ *
+ * @private
+ */
+function newJsonLinesWriter(filepath) {
+  let lines = [];
+
+  let flushing;
+
+  const opened = import("node:fs/promises").then(async (fs) => {
+    await fs.writeFile(filepath, "");
+    return fs;
+  });
+
+  function flush() {
+    if (flushing === undefined) {
+      flushing = opened.then(async (fs) => {
+        while (lines.length > 0) {
+          const batch = lines;
+          lines = [];
+          await fs.appendFile(filepath, batch.map((line) => `${line}\n`).join(""));
+        }
+        flushing = undefined;
+      });
+    }
+    return flushing;
+  }
+
+  return {
+    write(line) {
+      lines.push(line);
+      // Failures are reported to whoever waits for the lines to be written.
+      flush().catch(() => {});
+    },
+    flush,
+  };
+}
+
+/** @private */
+async function readJsonLines(filepath) {
+  const fs = await import("node:fs/promises");
+  const content = await fs.readFile(filepath, "utf8");
+  return content
+    .split("\n")
+    .filter((line) => line.trim().length > 0)
+    .map((line) => Json.parse(line));
+}
+
+/**
+ * Messages are recorded verbatim, unless spread over several lines.
+ *
+ * @private
+ */
+function singleLine(data) {
+  const text = data.toString();
+  return text.includes("\n") ? Json.stringify(Json.parse(text)) : text;
+}
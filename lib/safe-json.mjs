@@ -17,25 +17,40 @@
  */
 
 import JsonBig from "@cardanosolutions/json-bigint";
+import { sanitizeEntry, sanitizeResponse } from "./bigint-paths.mjs";
 
 /** @private */
 const $ = JsonBig({ useNativeBigInt: true });
 
+/**
+ * Integers of 15 digits or more, which may not fit in a Number. In JSON, numbers come first, or
+ * right after a colon, a comma or an opening bracket; the same sequence within a string is a false
+ * positive, which only means parsing the slow way.
+ *
+ * @private
+ */
+const UNSAFE_INTEGER = /(?:^|[:,[])\s*-?\d{15}/;
+
+/** @private */
+const INTEGER = /^-?\d+$/;
+
+/** @private */
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+/** @private */
+const TRAILING_ID = /"id"\s*:\s*("[^"\\]*(?:\\.[^"\\]*)*"|-?\d+|null)\s*}\s*$/;
+
+/** @private */
+const [QUOTE, BACKSLASH, COMMA, COLON] = ['"', "\\", ",", ":"].map((c) => c.charCodeAt(0));
+
+/** @private */
+const [OPEN_OBJECT, CLOSE_OBJECT, OPEN_ARRAY, CLOSE_ARRAY] = ["{", "}", "[", "]"].map((c) =>
+  c.charCodeAt(0),
+);
+
 export const Json = {
   parse(str) {
-    try {
-      return sanitize($.parse(str));
-    } catch (e) {
-      if (
-        e.name === "SyntaxError" &&
-        typeof e.message === "string" &&
-        e.message.includes("forbidden constructor")
-      ) {
-        const escaped = str.toString().replace(/"constructor"/g, '"constr"');
-        return sanitize($.parse(escaped));
-      }
-      throw e;
-    }
+    return sanitize(parseLossless(str.toString()));
   },
 
   stringify(...args) {
@@ -43,14 +58,169 @@ export const Json = {
   },
 };
 
-/** `sanitize` does a second pass after parsing, to convert into BigInt fields which should indeed be parsed
- * as BigInt.
+/**
+ * Parse JSON, keeping large integers intact. The native parser is much faster, but loses precision
+ * on large integers; so it's only used when there are none, which a quick scan tells.
+ *
+ * Either way, keys are kept as they are, "constructor" and "__proto__" included: like with the
+ * native parser, they always end up as own properties, and never touch prototypes.
+ *
+ * @private
+ */
+function parseLossless(text) {
+  if (!UNSAFE_INTEGER.test(text)) {
+    return JSON.parse(text);
+  }
+
+  let i = 0;
+
+  const json = parseValue();
+
+  i = skipWhitespace(text, i);
+
+  if (i < text.length) {
+    throw new SyntaxError(`Unexpected '${text[i]}' at position ${i} in JSON.`);
+  }
+
+  return json;
+
+  function parseValue() {
+    i = skipWhitespace(text, i);
+    switch (text.charCodeAt(i)) {
+      case OPEN_OBJECT:
+        return parseObject();
+      case OPEN_ARRAY:
+        return parseArray();
+      case QUOTE:
+        return parseString();
+      default:
+        return parseLiteral();
+    }
+  }
+
+  function parseObject() {
+    const object = {};
+
+    i = skipWhitespace(text, i + 1);
+
+    if (text.charCodeAt(i) === CLOSE_OBJECT) {
+      i += 1;
+      return object;
+    }
+
+    for (;;) {
+      expect(text, i, QUOTE);
+
+      const key = parseString();
+
+      i = skipWhitespace(text, i);
+      i = expect(text, i, COLON) + 1;
+
+      const value = parseValue();
+
+      // An assignment would set the prototype instead.
+      if (key === "__proto__") {
+        Object.defineProperty(object, key, {
+          value,
+          writable: true,
+          enumerable: true,
+          configurable: true,
+        });
+      } else {
+        object[key] = value;
+      }
+
+      i = skipWhitespace(text, i);
+
+      if (text.charCodeAt(i) !== COMMA) {
+        i = expect(text, i, CLOSE_OBJECT) + 1;
+        return object;
+      }
+
+      i = skipWhitespace(text, i + 1);
+    }
+  }
+
+  function parseArray() {
+    const array = [];
+
+    i = skipWhitespace(text, i + 1);
+
+    if (text.charCodeAt(i) === CLOSE_ARRAY) {
+      i += 1;
+      return array;
+    }
+
+    for (;;) {
+      array.push(parseValue());
+
+      i = skipWhitespace(text, i);
+
+      if (text.charCodeAt(i) !== COMMA) {
+        i = expect(text, i, CLOSE_ARRAY) + 1;
+        return array;
+      }
+
+      i += 1;
+    }
+  }
+
+  function parseString() {
+    const end = skipString(text, i);
+    const str = text.slice(i, end);
+    i = end;
+    return str.includes("\\") ? JSON.parse(str) : str.slice(1, -1);
+  }
+
+  function parseLiteral() {
+    const end = skipValue(text, i);
+    const token = text.slice(i, end);
+
+    switch (token) {
+      case "true":
+        i = end;
+        return true;
+      case "false":
+        i = end;
+        return false;
+      case "null":
+        i = end;
+        return null;
+    }
+
+    if (!NUMBER.test(token)) {
+      throw new SyntaxError(`Unexpected '${token || "end of input"}' at position ${i} in JSON.`);
+    }
+
+    i = end;
+
+    return token.length > 15 && INTEGER.test(token) ? BigInt(token) : Number(token);
+  }
+}
+
+/** `sanitize` converts into BigInt fields which should indeed be parsed as BigInt. In JSON-RPC
+ * responses, which fields depends on their method, so only those are visited. Other documents are
+ * traversed entirely, converting quantities wherever they're recognised.
+ *
+ * @private
+ */
+function sanitize(json) {
+  if (typeof json === "object" && json !== null && typeof json.method === "string") {
+    return sanitizeResponse(json);
+  }
+
+  return sanitizeQuantities(json);
+}
+
+/**
+ * Recursively convert into BigInt anything that looks like a quantity: lovelace, asset quantities,
+ * script thresholds and metadata.
  *
  * Note that, this is potentially _slow_ since it needs to traverse the entire JSON.
  *
  * @private
  */
-function sanitize(json, parentKey) {
+function sanitizeQuantities(json, parentKey) {
   if (typeof json === "object" && json !== null) {
     // Lovelace
     if (json.lovelace !== undefined) {
@@ -65,7 +235,7 @@ function sanitize(json, parentKey) {
     // Script
     if (json.clause === "some" && json.atLeast !== undefined) {
       sanitizeFields(json, ["atLeast"]);
-      return sanitize(json.from, "from");
+      return sanitizeQuantities(json.from, "from");
     }
 
     // Metadata
@@ -75,7 +245,7 @@ function sanitize(json, parentKey) {
 
     // Otherwise...
     for (const k in json) {
-      sanitize(json[k], k);
+      sanitizeQuantities(json[k], k);
     }
   }
 
@@ -83,7 +253,8 @@ function sanitize(json, parentKey) {
 }
 
 /**
- * Recursively sanitize an object and its nested fields, making sure to sanitize top-level fields given as parameter.
+ * Recursively sanitize an object and its nested fields, making sure to sanitize top-level fields
+ * given as parameter.
  *
  * @private
  */
@@ -93,7 +264,7 @@ function sanitizeFields(json, fields) {
     if (fields.includes(k)) {
       json[k] = typeof v === "number" ? BigInt(v) : v;
     } else {
-      sanitize(v, k);
+      sanitizeQuantities(v, k);
     }
   }
   return json;
@@ -122,3 +293,183 @@ function sanitizeMetadatum(json) {
   }
   return json;
 }
+
+/**
+ * Get the id of a JSON-RPC response, without parsing all of it. Ogmios puts it last, so it's
+ * usually found right away.
+ *
+ * @private
+ */
+export function peekId(text) {
+  const trailing = TRAILING_ID.exec(text.slice(-256));
+
+  if (trailing !== null) {
+    return JSON.parse(trailing[1]);
+  }
+
+  const id = findMember(text, ["id"]);
+
+  return id === undefined ? undefined : parseLossless(text.slice(id[1], skipValue(text, id[1])));
+}
+
+/**
+ * Find the first top-level member of a JSON object named after one of the given keys, without
+ * parsing anything else. Returns the key, and the index at which its value starts.
+ *
+ * @private
+ */
+export function findMember(text, keys) {
+  let i = skipWhitespace(text, 0);
+
+  if (text.charCodeAt(i) !== OPEN_OBJECT) {
+    return undefined;
+  }
+
+  i = skipWhitespace(text, i + 1);
+
+  while (text.charCodeAt(i) === QUOTE) {
+    const end = skipString(text, i);
+    const key = JSON.parse(text.slice(i, end));
+
+    i = skipWhitespace(text, end);
+    i = skipWhitespace(text, expect(text, i, COLON) + 1);
+
+    if (keys.includes(key)) {
+      return [key, i];
+    }
+
+    i = skipWhitespace(text, skipValue(text, i));
+
+    if (text.charCodeAt(i) === COMMA) {
+      i = skipWhitespace(text, i + 1);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse, one by one, the entries of the array or object starting at the given index: elements of
+ * arrays, and [key, value] pairs of objects. Entries are sanitized according to the method of the
+ * response they're from.
+ *
+ * @private
+ */
+export function* parseEntries(text, start, method) {
+  const isArray = text.charCodeAt(start) === OPEN_ARRAY;
+
+  if (!isArray) {
+    expect(text, start, OPEN_OBJECT);
+  }
+
+  const close = isArray ? CLOSE_ARRAY : CLOSE_OBJECT;
+
+  let i = skipWhitespace(text, start + 1);
+
+  for (let index = 0; text.charCodeAt(i) !== close; index += 1) {
+    let key = index;
+
+    if (!isArray) {
+      const end = skipString(text, expect(text, i, QUOTE));
+      key = JSON.parse(text.slice(i, end));
+      i = skipWhitespace(text, end);
+      i = skipWhitespace(text, expect(text, i, COLON) + 1);
+    }
+
+    const end = skipValue(text, i);
+
+    const value = sanitizeEntry(method, key, parseLossless(text.slice(i, end)));
+
+    yield isArray ? value : [key, value];
+
+    i = skipWhitespace(text, end);
+
+    if (text.charCodeAt(i) === COMMA) {
+      i = skipWhitespace(text, i + 1);
+    } else if (text.charCodeAt(i) !== close) {
+      expect(text, i, close);
+    }
+  }
+}
+
+/**
+ * Index right after the value starting at the given index.
+ *
+ * @private
+ */
+function skipValue(text, i) {
+  const c = text.charCodeAt(i);
+
+  if (c === QUOTE) {
+    return skipString(text, i);
+  }
+
+  if (c === OPEN_OBJECT || c === OPEN_ARRAY) {
+    let depth = 0;
+    for (; i < text.length; i += 1) {
+      const d = text.charCodeAt(i);
+      if (d === QUOTE) {
+        i = skipString(text, i) - 1;
+      } else if (d === OPEN_OBJECT || d === OPEN_ARRAY) {
+        depth += 1;
+      } else if (d === CLOSE_OBJECT || d === CLOSE_ARRAY) {
+        depth -= 1;
+        if (depth === 0) {
+          return i + 1;
+        }
+      }
+    }
+    throw new SyntaxError("Unexpected end of JSON input");
+  }
+
+  // Numbers, booleans and null.
+  while (i < text.length && !",}] \t\n\r".includes(text[i])) {
+    i += 1;
+  }
+
+  return i;
+}
+
+/**
+ * Index right after the string starting at the given index.
+ *
+ * @private
+ */
+function skipString(text, i) {
+  for (;;) {
+    const end = text.indexOf('"', i + 1);
+
+    if (end < 0) {
+      throw new SyntaxError("Unterminated string in JSON");
+    }
+
+    let escapes = 0;
+    while (text.charCodeAt(end - escapes - 1) === BACKSLASH) {
+      escapes += 1;
+    }
+
+    if (escapes % 2 === 0) {
+      return end + 1;
+    }
+
+    i = end;
+  }
+}
+
+/** @private */
+function skipWhitespace(text, i) {
+  while (i < text.length && " \t\n\r".includes(text[i])) {
+    i += 1;
+  }
+  return i;
+}
+
+/** @private */
+function expect(text, i, c) {
+  if (text.charCodeAt(i) !== c) {
+    throw new SyntaxError(
+      `Expected '${String.fromCharCode(c)}' at position ${i} in JSON, got '${text[i]}'.`,
+    );
+  }
+  return i;
+}
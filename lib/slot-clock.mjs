@@ -0,0 +1,223 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module slot_clock
+ * @private
+ */
+
+import { ForecastHorizonError, InvalidArgumentError } from "./errors.mjs";
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *  Convert between slots, epochs and wall-clock time, according to the era summaries of the ledger
+ *  and the system start of the network. Both are fetched once, and era summaries are refreshed in
+ *  the background when getting close to their horizon; that is, to the end of the safe zone past
+ *  which the ledger can't tell how long slots will be.
+ *
+ *  Conversions are synchronous. Those beyond the horizon fail with a
+ *  {@link module:@cardano-ogmios/mdk.ForecastHorizonError}.
+ * @async
+ * @param {OgmiosWebSocket|module:@cardano-ogmios/mdk.OgmiosClient} ws
+ *  A connection, or a client, to fetch era summaries from.
+ * @return {Promise<module:@cardano-ogmios/mdk.SlotClock>}
+ *
+ * @example
+ * const clock = await createSlotClock(ws);
+ *
+ * const { slot } = await ws.queryLedgerState("tip");
+ *
+ * console.log(clock.slotToDate(slot), clock.slotToEpoch(slot));
+ *
+ * // Validity interval of a transaction, for the next 2 hours.
+ * const invalidAfter = clock.dateToSlot(Date.now() + 2 * 3600 * 1000);
+ */
+export async function createSlotClock(ws) {
+  const [startTime, summaries] = await Promise.all([
+    ws.queryNetwork("startTime"),
+    ws.queryLedgerState("eraSummaries"),
+  ]);
+
+  const systemStart = Date.parse(startTime);
+
+  let eras = summaries.map(toEra);
+
+  let refreshing;
+
+  function refresh() {
+    refreshing ??= ws
+      .queryLedgerState("eraSummaries")
+      .then((summaries) => {
+        eras = summaries.map(toEra);
+      })
+      .finally(() => {
+        refreshing = undefined;
+      });
+
+    return refreshing;
+  }
+
+  // Refresh era summaries once half of the safe zone of the last known era is left, so that
+  // conversions around the current time never reach the horizon.
+  function refreshIfNeeded() {
+    const era = eras.at(-1);
+
+    if (era === undefined || refreshing !== undefined || era.end.time === Infinity) {
+      return;
+    }
+
+    const margin = ((era.safeZone ?? era.epochLength) * era.slotLength) / 2;
+
+    if (Date.now() - systemStart >= era.end.time - margin) {
+      // Failures (e.g. a closed connection) are left for the next conversion to retry.
+      refresh().catch(() => {});
+    }
+  }
+
+  function eraOf(key, value) {
+    refreshIfNeeded();
+
+    const era = eras.find(({ end }) => value < end[key]);
+
+    if (era === undefined) {
+      const horizon = eras.at(-1)?.end ?? { time: 0, slot: 0, epoch: 0 };
+      const date = new Date(systemStart + horizon.time);
+      const what = key === "time" ? new Date(systemStart + value).toISOString() : `${key} ${value}`;
+      throw new ForecastHorizonError(
+        `${what} is beyond the forecast horizon: slot ${horizon.slot}, at ${date.toISOString()}.`,
+        { slot: horizon.slot, epoch: horizon.epoch, date },
+      );
+    }
+
+    return era;
+  }
+
+  function dateOf(era, slot) {
+    return new Date(systemStart + era.start.time + (slot - era.start.slot) * era.slotLength);
+  }
+
+  return {
+    slotToDate(slot) {
+      expectSlot(slot);
+      return dateOf(eraOf("slot", slot), slot);
+    },
+
+    dateToSlot(date) {
+      const ms = date instanceof Date ? date.getTime() : date;
+
+      if (!Number.isFinite(ms)) {
+        throw new InvalidArgumentError(
+          `expected a Date or a number 'date', got something else: ${date}`,
+        );
+      }
+
+      const time = ms - systemStart;
+
+      if (time < 0) {
+        throw new InvalidArgumentError(`${new Date(ms).toISOString()} is before the system start.`);
+      }
+
+      const era = eraOf("time", time);
+
+      return era.start.slot + Math.floor((time - era.start.time) / era.slotLength);
+    },
+
+    slotToEpoch(slot) {
+      expectSlot(slot);
+      const era = eraOf("slot", slot);
+      return era.start.epoch + Math.floor((slot - era.start.slot) / era.epochLength);
+    },
+
+    epochBoundaries(epoch) {
+      if (!(Number.isInteger(epoch) && epoch >= 0)) {
+        throw new InvalidArgumentError(
+          `expected a positive Integer 'epoch', got something else: ${epoch}`,
+        );
+      }
+
+      const era = eraOf("epoch", epoch);
+
+      const firstSlot = era.start.slot + (epoch - era.start.epoch) * era.epochLength;
+
+      const next = firstSlot + era.epochLength;
+
+      return {
+        firstSlot,
+        lastSlot: next - 1,
+        start: dateOf(era, firstSlot),
+        end: dateOf(era, next),
+      };
+    },
+
+    refresh,
+  };
+}
+
+/**
+ * An era summary, with times in milliseconds since the system start, and an unbounded end when the
+ * era has none.
+ *
+ * @private
+ */
+function toEra({ start, end, parameters }) {
+  const bound = ({ time, slot, epoch }) => ({ time: time.seconds * 1000, slot, epoch });
+
+  return {
+    start: bound(start),
+    end: end == undefined ? { time: Infinity, slot: Infinity, epoch: Infinity } : bound(end),
+    slotLength: parameters.slotLength.milliseconds,
+    epochLength: parameters.epochLength,
+    safeZone: parameters.safeZone ?? undefined,
+  };
+}
+
+/** @private */
+function expectSlot(slot) {
+  if (!(Number.isInteger(slot) && slot >= 0)) {
+    throw new InvalidArgumentError(
+      `expected a positive Integer 'slot', got something else: ${slot}`,
+    );
+  }
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @typedef SlotClock
+ * @type {object}
+ * @property {function(integer): Date} slotToDate
+ *  Wall-clock time at which a slot starts.
+ * @property {function((Date|number)): integer} dateToSlot
+ *  Slot in progress at a given time, as a Date or a number of milliseconds since the Unix epoch.
+ * @property {function(integer): integer} slotToEpoch
+ *  Epoch a slot belongs to.
+ * @property {function(integer): module:@cardano-ogmios/mdk.EpochBoundaries} epochBoundaries
+ *  First and last slots of an epoch, and when it starts and ends.
+ * @property {function(): Promise<void>} refresh
+ *  Fetch era summaries again, e.g. to convert times which were beyond the horizon.
+ */
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @typedef EpochBoundaries
+ * @type {object}
+ * @property {integer} firstSlot
+ * @property {integer} lastSlot
+ * @property {Date} start
+ *  When the first slot starts.
+ * @property {Date} end
+ *  When the last slot ends, which is also when the next epoch starts.
+ */
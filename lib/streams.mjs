@@ -0,0 +1,136 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module streams
+ * @private
+ */
+
+import { Json } from "./safe-json.mjs";
+import { InvalidArgumentError, OgmiosError } from "./errors.mjs";
+
+/** @private */
+const FORMATS = ["object", "ndjson"];
+
+/**
+ * Expose the events of a generator function as a Node.js Readable stream; in object mode, or as
+ * NDJSON bytes. Events are pulled as the stream is read, so a slow consumer holds back the source:
+ * besides the stream's own buffer, only what the source keeps ahead (e.g. blocks requested ahead by
+ * pipelining, whichever its strategy) waits in memory.
+ *
+ * Destroying the stream calls 'stop', if any, so that an event being waited for doesn't hold back
+ * the generator's clean-up.
+ *
+ * Resolves once Node.js' stream module is loaded; on Node.js only, so that this library still runs
+ * where it doesn't exist.
+ *
+ * @private
+ */
+export async function toNodeStream(source, options = {}, stop) {
+  const { encode, highWaterMark, format } = streamOptions(options);
+
+  const { Readable } = await loadNodeStream();
+
+  const events = source();
+
+  return new Readable({
+    objectMode: format === "object",
+    highWaterMark,
+
+    read() {
+      events.next().then(
+        ({ done, value }) => this.push(done ? null : encode(value)),
+        (e) => this.destroy(e),
+      );
+    },
+
+    destroy(error, callback) {
+      close(events, stop);
+      callback(error);
+    },
+  });
+}
+
+/**
+ * Expose the events of a generator function as a WHATWG ReadableStream; of objects, or of NDJSON
+ * bytes. Like 'toNodeStream', events are only pulled as the stream is read.
+ *
+ * @private
+ */
+export function toReadableStream(source, options = {}, stop) {
+  const { encode, highWaterMark } = streamOptions(options);
+
+  const events = source();
+
+  return new ReadableStream(
+    {
+      async pull(controller) {
+        const { done, value } = await events.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(encode(value));
+        }
+      },
+
+      cancel() {
+        close(events, stop);
+      },
+    },
+    { highWaterMark },
+  );
+}
+
+/** @private */
+function streamOptions({ format = "object", highWaterMark }) {
+  if (!FORMATS.includes(format)) {
+    throw new InvalidArgumentError(
+      `expected 'format' to be one of ${FORMATS}, got something else: ${format}`,
+    );
+  }
+
+  if (highWaterMark !== undefined && !(Number.isInteger(highWaterMark) && highWaterMark >= 0)) {
+    throw new InvalidArgumentError(
+      `expected a positive Integer 'highWaterMark', got something else: ${highWaterMark}`,
+    );
+  }
+
+  const encoder = new TextEncoder();
+
+  const encode =
+    format === "object"
+      ? (value) => value
+      : (value) => encoder.encode(`${Json.stringify(value)}\n`);
+
+  return { encode, highWaterMark, format };
+}
+
+/**
+ * End a generator early. Its clean-up only runs once the pending 'next' settles, which 'stop' is
+ * meant to hasten; there's no need to wait for either.
+ *
+ * @private
+ */
+function close(events, stop) {
+  stop?.()?.catch?.(() => {});
+  events.return().catch(() => {});
+}
+
+/** @private */
+function loadNodeStream() {
+  if (globalThis.process?.versions?.node === undefined) {
+    throw new OgmiosError("Node.js streams require Node.js; use 'toReadableStream' elsewhere.");
+  }
+
+  return import("node:stream");
+}
@@ -0,0 +1,505 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module @cardano-ogmios/mdk/testing */
+
+import { createHash } from "node:crypto";
+import { WebSocketServer } from "ws";
+import { Json } from "./safe-json.mjs";
+
+/** @private */
+const DEFAULT_START_TIME = "2022-06-01T00:00:00Z";
+
+/** @private */
+const SLOTS_PER_BLOCK = 20;
+
+/** @private */
+const MAX_MEMPOOL_CAPACITY = 90112;
+
+/** @private */
+const NO_INTERSECTION_FOUND = 1000;
+
+/** @private */
+const ACQUIRE_LEDGER_STATE_FAILURE = 2000;
+
+/** @private */
+const METHOD_NOT_FOUND = -32601;
+
+/** @private */
+const INTERNAL_ERROR = -32603;
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk/testing
+ *
+ * @description
+ *  Start a local WebSocket server speaking Ogmios' JSON-RPC, for testing applications without a
+ *  node. The server follows a scripted chain, which tests can extend or roll back at will, and
+ *  answers ledger-state and network queries from fixtures.
+ *
+ *  Supported methods are chain sync (`findIntersection`, `nextBlock`), ledger-state queries and
+ *  acquisition, network queries, mempool monitoring, and transaction submission and evaluation.
+ *  Any other method, or any query without a fixture, fails with a `-32601` error.
+ * @async
+ * @param {object} [options]
+ * @param {integer} [options.port=0]
+ *  The port to listen on. A random available port is picked by default.
+ * @param {integer|Array<object>} [options.chain=0]
+ *  The initial chain: either a number of blocks to generate, or the blocks themselves (oldest
+ *  first). Missing `id`, `ancestor`, `height` and `slot` fields of given blocks are filled in.
+ * @param {Object<string, any>} [options.ledgerState]
+ *  Fixtures for `queryLedgerState/*`, by query name (e.g. `{ epoch: 42 }`). A function is called
+ *  with the query's params and `{ point }`, the point at which the query runs, and returns the
+ *  result. `tip` defaults to the tip of the chain (or the acquired point).
+ * @param {Object<string, any>} [options.network]
+ *  Fixtures for `queryNetwork/*`, by query name, as for `ledgerState`. `tip`, `blockHeight` and
+ *  `startTime` have defaults.
+ * @param {Object<string, function(object): any>} [options.handlers]
+ *  Handlers for any method, by method name, taking precedence over the built-in ones. A handler is
+ *  called with the request's params, and returns the result.
+ * @param {Array<object>} [options.mempool=[]]
+ *  Transactions initially in the mempool; each with at least an `id`.
+ * @return {Promise<module:@cardano-ogmios/mdk/testing.MockServer>}
+ *  A promise resolving once the server is listening.
+ *
+ * @example
+ * import { ogmios } from "@cardano-ogmios/mdk";
+ * import { startMockServer } from "@cardano-ogmios/mdk/testing";
+ *
+ * const server = await startMockServer({ chain: 10, ledgerState: { epoch: 42 } });
+ *
+ * const epoch = await ogmios((ws, done) => ws.queryLedgerState("epoch").then(done), server.url);
+ *
+ * await server.close();
+ */
+export async function startMockServer(options = {}) {
+  const {
+    port = 0,
+    chain: initialChain = 0,
+    ledgerState = {},
+    network = {},
+    handlers = {},
+    mempool: initialMempool = [],
+  } = options;
+
+  let chain = [];
+
+  // Distinguishes blocks forged on different forks, at the same height.
+  let fork = 0;
+
+  let mempool = [...initialMempool];
+
+  // Bumped whenever the mempool changes, to tell snapshots apart.
+  let mempoolVersion = 0;
+
+  // Sessions waiting for the mempool to change, to acquire a new snapshot.
+  let mempoolWaiters = [];
+
+  // Errors to reply with, by method, in lieu of results.
+  const injectedErrors = new Map();
+
+  const sessions = new Set();
+
+  const requests = [];
+
+  const wss = new WebSocketServer({ port, host: "127.0.0.1" });
+
+  await new Promise((resolve, reject) => {
+    wss.once("listening", resolve);
+    wss.once("error", reject);
+  });
+
+  appendBlocks(typeof initialChain === "number" ? new Array(initialChain).fill({}) : initialChain);
+
+  wss.on("connection", (socket) => {
+    const session = {
+      socket,
+      // Index of the last block sent, -1 being the origin.
+      cursor: -1,
+      // Point to roll backward to, on the next 'nextBlock'.
+      rollback: "origin",
+      // Replies to 'nextBlock' requests waiting for the chain to move, oldest first.
+      waiting: [],
+      acquiredPoint: undefined,
+      snapshot: undefined,
+    };
+
+    sessions.add(session);
+
+    socket.on("error", () => {});
+
+    socket.on("close", () => {
+      sessions.delete(session);
+      mempoolWaiters = mempoolWaiters.filter((waiter) => waiter.session !== session);
+    });
+
+    socket.on("message", (data) => {
+      const { method, params = {}, id } = Json.parse(data.toString());
+
+      requests.push({ method, params });
+
+      const reply = (response) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(Json.stringify({ jsonrpc: "2.0", method, ...response, id }));
+        }
+      };
+
+      const injected = injectedErrors.get(method);
+
+      if (injected?.length > 0) {
+        return reply({ error: injected.shift() });
+      }
+
+      try {
+        handle(session, method, params, reply);
+      } catch (e) {
+        reply({ error: { code: INTERNAL_ERROR, message: e.message } });
+      }
+    });
+  });
+
+  function handle(session, method, params, reply) {
+    if (handlers[method] !== undefined) {
+      return Promise.resolve(handlers[method](params)).then(
+        (result) => reply({ result }),
+        (e) => reply({ error: { code: INTERNAL_ERROR, message: e.message } }),
+      );
+    }
+
+    const [namespace, query] = method.split("/");
+
+    switch (namespace) {
+      case "findIntersection":
+        return findIntersection(session, params.points ?? [], reply);
+
+      case "nextBlock":
+        session.waiting.push(reply);
+        return flush(session);
+
+      case "acquireLedgerState": {
+        const point = params.point;
+        if (point !== "origin" && indexOf(point) < 0) {
+          return reply({
+            error: {
+              code: ACQUIRE_LEDGER_STATE_FAILURE,
+              message: "Failed to acquire requested point.",
+              data: { failure: "pointNotOnChain" },
+            },
+          });
+        }
+        session.acquiredPoint = point;
+        return reply({ result: { acquired: "ledgerState", point } });
+      }
+
+      case "releaseLedgerState":
+        session.acquiredPoint = undefined;
+        return reply({ result: { released: "ledgerState" } });
+
+      case "queryLedgerState": {
+        const point = session.acquiredPoint ?? (chain.length === 0 ? "origin" : toPoint(tip()));
+        const defaults = { tip: () => point };
+        return answer(method, { ...defaults, ...ledgerState }[query], params, { point }, reply);
+      }
+
+      case "queryNetwork": {
+        const defaults = {
+          tip: () => tip(),
+          blockHeight: () => (chain.length === 0 ? "origin" : tip().height),
+          startTime: DEFAULT_START_TIME,
+        };
+        return answer(method, { ...defaults, ...network }[query], params, {}, reply);
+      }
+
+      case "acquireMempool": {
+        const acquire = () => {
+          session.snapshot = { transactions: [...mempool], cursor: 0, version: mempoolVersion };
+          reply({ result: { acquired: "mempool", slot: chain.at(-1)?.slot ?? 0 } });
+        };
+        // A session acquiring again waits for the mempool to change from its snapshot.
+        if (session.snapshot?.version !== mempoolVersion) {
+          return acquire();
+        }
+        return mempoolWaiters.push({ session, acquire });
+      }
+
+      case "nextTransaction": {
+        if (session.snapshot === undefined) {
+          return reply({
+            error: { code: 4000, message: "Must acquire a mempool snapshot first." },
+          });
+        }
+        const transaction = session.snapshot.transactions[session.snapshot.cursor] ?? null;
+        session.snapshot.cursor += 1;
+        return reply({
+          result: {
+            transaction:
+              transaction === null || params.fields === "all"
+                ? transaction
+                : { id: transaction.id },
+          },
+        });
+      }
+
+      case "hasTransaction":
+        return reply({
+          result: (session.snapshot?.transactions ?? []).some(({ id }) => id === params.id),
+        });
+
+      case "sizeOfMempool": {
+        const transactions = session.snapshot?.transactions ?? [];
+        return reply({
+          result: {
+            maxCapacity: { bytes: MAX_MEMPOOL_CAPACITY },
+            currentSize: {
+              bytes: transactions.reduce((n, tx) => n + Json.stringify(tx).length, 0),
+            },
+            transactions: { count: transactions.length },
+          },
+        });
+      }
+
+      case "releaseMempool":
+        session.snapshot = undefined;
+        return reply({ result: { released: "mempool" } });
+
+      case "submitTransaction":
+        return reply({
+          result: { transaction: { id: digest(params.transaction?.cbor ?? "") } },
+        });
+
+      case "evaluateTransaction":
+        return reply({ result: [] });
+
+      default:
+        return reply({ error: methodNotFound(method) });
+    }
+  }
+
+  function findIntersection(session, points, reply) {
+    for (const point of points) {
+      const index = point === "origin" ? -1 : indexOf(point);
+      if (point === "origin" || index >= 0) {
+        session.cursor = index;
+        session.rollback = point;
+        return reply({ result: { intersection: point, tip: tip() } });
+      }
+    }
+
+    return reply({
+      error: {
+        code: NO_INTERSECTION_FOUND,
+        message: "No intersection found.",
+        data: { tip: tip() },
+      },
+    });
+  }
+
+  // Reply to whichever 'nextBlock' requests we can reply to, in order.
+  function flush(session) {
+    while (session.waiting.length > 0) {
+      if (session.rollback !== undefined) {
+        const point = session.rollback;
+        session.rollback = undefined;
+        session.waiting.shift()({ result: { direction: "backward", point, tip: tip() } });
+      } else if (session.cursor + 1 < chain.length) {
+        session.cursor += 1;
+        const block = chain[session.cursor];
+        session.waiting.shift()({ result: { direction: "forward", block, tip: tip() } });
+      } else {
+        return;
+      }
+    }
+  }
+
+  function answer(method, fixture, params, context, reply) {
+    if (fixture === undefined) {
+      return reply({ error: methodNotFound(method) });
+    }
+
+    return Promise.resolve(typeof fixture === "function" ? fixture(params, context) : fixture).then(
+      (result) => reply({ result }),
+      (e) => reply({ error: { code: INTERNAL_ERROR, message: e.message } }),
+    );
+  }
+
+  function appendBlocks(blocks) {
+    for (const block of blocks) {
+      const parent = chain.at(-1);
+      const height = (parent?.height ?? 0) + 1;
+      chain.push({
+        type: "praos",
+        era: "conway",
+        ancestor: parent?.id ?? "genesis",
+        height,
+        slot: (parent?.slot ?? 0) + SLOTS_PER_BLOCK,
+        transactions: [],
+        ...block,
+        id: block.id ?? blockId(fork, height),
+      });
+    }
+  }
+
+  function tip() {
+    const block = chain.at(-1);
+    return block === undefined ? "origin" : { ...toPoint(block), height: block.height };
+  }
+
+  function indexOf(point) {
+    return chain.findIndex(({ id, slot }) => id === point?.id && slot === point?.slot);
+  }
+
+  /**
+   * @memberOf module:@cardano-ogmios/mdk/testing
+   *
+   * @typedef MockServer
+   * @description
+   *  A running mock server, and the levers to script its behaviour.
+   * @type {object}
+   * @property {string} url
+   *  The connection string of the server (e.g. "ws://127.0.0.1:49152").
+   * @property {integer} port
+   *  The port the server listens on.
+   * @property {Array<object>} chain
+   *  The blocks currently on the chain, oldest first.
+   * @property {Array<{ method: string, params: object }>} requests
+   *  Every request received so far, in order.
+   * @property {integer} connections
+   *  The number of clients currently connected.
+   * @property {function(): object|"origin"} tip
+   *  The tip of the chain, as `{ id, slot, height }`.
+   * @property {function((integer|object|Array<object>)=): Array<object>} rollForward
+   *  Extend the chain with the given blocks, or with that many generated blocks (one by default).
+   *  Followers waiting at the tip receive them right away. Returns the new blocks.
+   * @property {function((integer|object|"origin")): void} rollBackward
+   *  Switch the chain back to the given point, or that many blocks back. Followers past that point
+   *  receive a roll-backward on their next request. Blocks forged afterwards differ from those
+   *  rolled back, simulating a fork.
+   * @property {function(Array<object>): void} setMempool
+   *  Replace the transactions in the mempool. Clients waiting for the mempool to change are
+   *  given a new snapshot.
+   * @property {function(string, object, integer=): void} injectError
+   *  Reply to the next request(s) for a method with the given error `{ code, message, data }`, as
+   *  many times as asked (once by default).
+   * @property {function(integer=, string=): void} disconnect
+   *  Drop every connection; abruptly (code 1006 on the client side) unless a close code is given.
+   * @property {function(): Promise<void>} close
+   *  Drop every connection, and stop the server.
+   */
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+
+    port: wss.address().port,
+
+    get chain() {
+      return chain;
+    },
+
+    requests,
+
+    get connections() {
+      return sessions.size;
+    },
+
+    tip,
+
+    rollForward(blocks = 1) {
+      const added = typeof blocks === "number" ? new Array(blocks).fill({}) : [blocks].flat();
+      const length = chain.length;
+      appendBlocks(added);
+      sessions.forEach(flush);
+      return chain.slice(length);
+    },
+
+    rollBackward(to = 1) {
+      let index = -1;
+
+      if (typeof to === "number") {
+        index = chain.length - 1 - to;
+      } else if (to !== "origin") {
+        index = indexOf(to);
+      }
+
+      if (index < -1 || (typeof to === "object" && index < 0)) {
+        throw new Error(`cannot roll backward to ${Json.stringify(to)}: not on chain.`);
+      }
+
+      chain = chain.slice(0, index + 1);
+
+      fork += 1;
+
+      const point = index < 0 ? "origin" : toPoint(chain[index]);
+
+      sessions.forEach((session) => {
+        if (session.cursor > index) {
+          session.cursor = index;
+          session.rollback = point;
+        }
+        flush(session);
+      });
+    },
+
+    setMempool(transactions) {
+      mempool = [...transactions];
+      mempoolVersion += 1;
+      const waiters = mempoolWaiters;
+      mempoolWaiters = [];
+      waiters.forEach(({ acquire }) => acquire());
+    },
+
+    injectError(method, error, times = 1) {
+      injectedErrors.set(method, [
+        ...(injectedErrors.get(method) ?? []),
+        ...new Array(times).fill(error),
+      ]);
+    },
+
+    disconnect(code, reason) {
+      sessions.forEach(({ socket }) => {
+        if (code === undefined) {
+          socket.terminate();
+        } else {
+          socket.close(code, reason);
+        }
+      });
+    },
+
+    close() {
+      sessions.forEach(({ socket }) => socket.terminate());
+      return new Promise((resolve) => wss.close(() => resolve()));
+    },
+  };
+}
+
+/** @private */
+function toPoint({ id, slot }) {
+  return { id, slot };
+}
+
+/** @private */
+function blockId(fork, height) {
+  return digest(`${fork}:${height}`);
+}
+
+/**
+ * A base16-encoded 32-byte digest, looking like block and transaction ids.
+ *
+ * @private
+ */
+function digest(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/** @private */
+function methodNotFound(method) {
+  return { code: METHOD_NOT_FOUND, message: `Unknown method: ${method}.` };
+}
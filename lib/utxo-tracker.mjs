@@ -0,0 +1,303 @@
+// Copyright 2025 KtorZ <matthias.benkort@gmail.com>
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/** @module utxo_tracker
+ * @private
+ */
+
+import { InvalidArgumentError } from "./errors.mjs";
+import { newEventEmitter } from "./event-emitter.mjs";
+import { outputReference, producedOutputs, slotOf, spentOutputs } from "./chain-follower.mjs";
+
+/**
+ * Blocks which can be rolled back, at most; i.e. the security parameter of mainnet.
+ *
+ * @private
+ */
+const DEFAULT_MAX_ROLLBACK = 2160;
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @description
+ *  Keep track of the UTxO set of some addresses. The set is seeded from a ledger-state query at the
+ *  tip, and kept current by following the chain from that very point, applying the inputs and
+ *  outputs of each block. Roll-backwards are undone from a log of recent changes; should the chain
+ *  switch to a fork older than the set itself, it is seeded again.
+ *
+ *  Ledger states are acquired on the given connection, to seed and verify the set; which can't
+ *  happen while the application has acquired one itself.
+ * @async
+ * @param {OgmiosWebSocket|module:@cardano-ogmios/mdk.OgmiosClient} ws
+ *  A connection, or a client, to query and follow the chain on.
+ * @param {object} options
+ * @param {Array<string>} options.addresses
+ *  Addresses to track outputs of.
+ * @param {integer} [options.maxRollback=2160]
+ *  Number of blocks which can be rolled back, for which changes are kept.
+ * @return {Promise<module:@cardano-ogmios/mdk.UtxoTracker>}
+ *  A promise resolving once the set is seeded, and the tracker is following the chain.
+ *
+ * @example
+ * const tracker = await createUtxoTracker(ws, { addresses: ["addr1..."] });
+ *
+ * tracker.on("change", ({ reason, point, added, removed }) => {
+ *   console.log(reason, point, added.length, removed.length);
+ * });
+ *
+ * console.log(tracker.getUtxo());
+ */
+export async function createUtxoTracker(ws, options = {}) {
+  const { addresses, maxRollback = DEFAULT_MAX_ROLLBACK } = options;
+
+  if (!Array.isArray(addresses) || addresses.length === 0) {
+    throw new InvalidArgumentError(
+      `expected a non-empty Array 'addresses', got something else: ${addresses}`,
+    );
+  }
+
+  if (!(Number.isInteger(maxRollback) && maxRollback >= 0)) {
+    throw new InvalidArgumentError(
+      `expected a positive Integer 'maxRollback', got something else: ${maxRollback}`,
+    );
+  }
+
+  const watched = new Set(addresses);
+
+  const events = newEventEmitter();
+
+  // Outputs, by reference, as current as 'point'.
+  let utxo = new Map();
+
+  let point;
+
+  // Changes made by recent blocks, oldest first. Blocks without changes aren't recorded.
+  let undoLog = [];
+
+  // Slot of the most recent block whose changes can't be undone; rolling back past it takes a new
+  // snapshot.
+  let floor;
+
+  let chainFollower;
+
+  let stopped = false;
+
+  async function seed() {
+    const snapshot = await ws.withLedgerState("tip", async (state) => ({
+      point: state.point,
+      utxo: await state.query("utxo", { addresses }),
+    }));
+
+    const previous = utxo;
+
+    utxo = new Map(
+      snapshot.utxo.map((entry) => [outputReference(entry.transaction.id, entry.index), entry]),
+    );
+    point = snapshot.point;
+    floor = slotOf(point);
+    undoLog = [];
+
+    // Following from the snapshot, nothing is missed nor applied twice.
+    chainFollower = await ws.newChainFollower([point]);
+
+    return previous;
+  }
+
+  function rollForward(block) {
+    // Net changes: outputs created and spent within the block are neither added nor removed.
+    const added = new Map();
+    const removed = [];
+
+    for (const transaction of block.transactions ?? []) {
+      for (const ref of spentOutputs(transaction)) {
+        if (added.delete(ref)) {
+          utxo.delete(ref);
+        } else if (utxo.has(ref)) {
+          removed.push(utxo.get(ref));
+          utxo.delete(ref);
+        }
+      }
+
+      for (const [index, output] of producedOutputs(transaction)) {
+        if (watched.has(output.address)) {
+          const entry = { transaction: { id: transaction.id }, index, ...output };
+          const ref = outputReference(transaction.id, index);
+          utxo.set(ref, entry);
+          added.set(ref, entry);
+        }
+      }
+    }
+
+    point = { id: block.id, slot: block.slot };
+
+    if (added.size > 0 || removed.length > 0) {
+      undoLog.push({ slot: block.slot, height: block.height, added: [...added.values()], removed });
+      events.emit("change", { reason: "forward", point, added: [...added.values()], removed });
+    }
+
+    // Changes of blocks deeper than the maximum rollback won't ever be undone.
+    while (undoLog.length > 0 && block.height - undoLog[0].height >= maxRollback) {
+      floor = undoLog.shift().slot;
+    }
+  }
+
+  // Undo changes past the given point, if possible; returns false otherwise.
+  function rollBackward(to) {
+    const slot = slotOf(to);
+
+    if (slot < floor) {
+      return false;
+    }
+
+    const added = [];
+    const removed = [];
+
+    while (undoLog.length > 0 && undoLog.at(-1).slot > slot) {
+      const changes = undoLog.pop();
+      for (const entry of changes.added) {
+        utxo.delete(outputReference(entry.transaction.id, entry.index));
+        removed.push(entry);
+      }
+      for (const entry of changes.removed) {
+        utxo.set(outputReference(entry.transaction.id, entry.index), entry);
+        added.push(entry);
+      }
+    }
+
+    point = to;
+
+    if (added.length > 0 || removed.length > 0) {
+      events.emit("change", { reason: "backward", point, added, removed });
+    }
+
+    return true;
+  }
+
+  async function track() {
+    for (;;) {
+      let reseed = false;
+
+      for await (const event of chainFollower()) {
+        if (event.direction === "forward") {
+          rollForward(event.block);
+        } else if (!rollBackward(event.point)) {
+          reseed = true;
+          break;
+        }
+      }
+
+      if (!reseed || stopped) {
+        return;
+      }
+
+      const previous = await seed();
+
+      const added = [...utxo].filter(([ref]) => !previous.has(ref)).map(([, entry]) => entry);
+      const removed = [...previous].filter(([ref]) => !utxo.has(ref)).map(([, entry]) => entry);
+
+      events.emit("change", { reason: "reseed", point, added, removed });
+    }
+  }
+
+  await seed();
+
+  const tracking = track().then(
+    () => events.emit("close"),
+    (e) => events.emit("close", e),
+  );
+
+  return {
+    on: events.on,
+    once: events.once,
+    off: events.off,
+
+    get point() {
+      return point;
+    },
+
+    getUtxo() {
+      return [...utxo.values()];
+    },
+
+    async verify() {
+      const at = point;
+
+      const tracked = new Map(utxo);
+
+      const actual = await ws.withLedgerState(at, (state) => state.query("utxo", { addresses }));
+
+      const refs = new Set(
+        actual.map((entry) => outputReference(entry.transaction.id, entry.index)),
+      );
+
+      const missing = actual.filter(
+        (entry) => !tracked.has(outputReference(entry.transaction.id, entry.index)),
+      );
+
+      const unexpected = [...tracked].filter(([ref]) => !refs.has(ref)).map(([, entry]) => entry);
+
+      return {
+        consistent: missing.length === 0 && unexpected.length === 0,
+        point: at,
+        missing,
+        unexpected,
+      };
+    },
+
+    stop() {
+      stopped = true;
+      // Replies to requests sent ahead are ignored; no need to wait for them.
+      chainFollower.stop();
+      return tracking;
+    },
+  };
+}
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @typedef UtxoTracker
+ * @type {object}
+ * @property {function(): Array<object>} getUtxo
+ *  The current UTxO set, as returned by `queryLedgerState("utxo")`.
+ * @property {OgmiosWebSocket.Point|"origin"} point
+ *  The point the set is current as of.
+ * @property {function(): Promise<module:@cardano-ogmios/mdk.UtxoVerification>} verify
+ *  Compare the set with the node's, at the point it is current as of.
+ * @property {function(): Promise<void>} stop
+ *  Stop following the chain, and resolve once stopped. The set is then no longer updated.
+ * @property {function(string, function): void} on
+ *  Listen to "change" events, with `{ reason, point, added, removed }` where 'reason' is
+ *  "forward", "backward" or "reseed", and to "close" once the tracker stops (with the error that
+ *  caused it, if any).
+ * @property {function(string, function): void} once
+ *  Like 'on', for a single event.
+ * @property {function(string, function): void} off
+ *  Remove a listener.
+ */
+
+/**
+ * @memberOf module:@cardano-ogmios/mdk
+ *
+ * @typedef UtxoVerification
+ * @type {object}
+ * @property {boolean} consistent
+ *  Whether the tracked set is the same as the node's.
+ * @property {OgmiosWebSocket.Point|"origin"} point
+ *  The point at which both sets were compared.
+ * @property {Array<object>} missing
+ *  Outputs in the node's set only.
+ * @property {Array<object>} unexpected
+ *  Outputs in the tracked set only.
+ */
@@ -0,0 +1,246 @@
+import test from "ava";
+import { newResilientChainFollower, withConfirmations } from "../lib/chain-follower.mjs";
+import { OgmiosConnectionError } from "../lib/index.mjs";
+
+const block = (height, fork = "a") => ({ id: `${fork}${height}`, slot: height * 10, height });
+
+const point = ({ id, slot }) => ({ id, slot });
+
+// A node serving its chain to chain-sync clients, over connections it can drop at any time.
+function newFakeNode(chain) {
+  const sessions = new Set();
+
+  const node = {
+    chain,
+
+    intersections: [],
+
+    connect() {
+      let closed = false;
+
+      let cursor;
+
+      let rollback;
+
+      // 'nextBlock' requests waiting for a block.
+      const waiting = [];
+
+      const session = {
+        close() {
+          closed = true;
+          sessions.delete(session);
+          waiting
+            .splice(0)
+            .forEach(({ reject }) => reject(new OgmiosConnectionError("connection closed.")));
+        },
+      };
+
+      sessions.add(session);
+
+      function flush() {
+        while (waiting.length > 0 && (rollback !== undefined || cursor + 1 < node.chain.length)) {
+          const { resolve } = waiting.shift();
+          const tip = node.chain.at(-1);
+          if (rollback !== undefined) {
+            resolve({ direction: "backward", point: rollback, tip });
+            rollback = undefined;
+          } else {
+            cursor += 1;
+            resolve({ direction: "forward", block: node.chain[cursor], tip });
+          }
+        }
+      }
+
+      async function request(method, params) {
+        if (closed) {
+          throw new OgmiosConnectionError("connection closed.");
+        }
+
+        if (method === "findIntersection") {
+          node.intersections.push(params.points);
+          for (const p of params.points) {
+            const index = p === "origin" ? -1 : node.chain.findIndex(({ id }) => id === p.id);
+            if (p === "origin" || index >= 0) {
+              cursor = index;
+              rollback = p;
+              return { intersection: p, tip: node.chain.at(-1) };
+            }
+          }
+          throw new Error("no intersection found.");
+        }
+
+        return new Promise((resolve, reject) => {
+          waiting.push({ resolve, reject });
+          setTimeout(flush);
+        });
+      }
+
+      return Promise.resolve({ request, close: session.close });
+    },
+
+    disconnect() {
+      sessions.forEach((session) => session.close());
+    },
+  };
+
+  return node;
+}
+
+test("🎉 chain follower: roll backward after a fork during a disconnection", async (t) => {
+  const node = newFakeNode(Array.from({ length: 10 }, (_, i) => block(i + 1)));
+
+  const { asyncChainFollower } = await newResilientChainFollower(
+    () => node.connect(),
+    ["origin"],
+    undefined,
+    { minDelay: 10 },
+  );
+
+  const events = [];
+  for await (const event of asyncChainFollower()) {
+    events.push(event);
+    if (events.length === 4) {
+      // Blocks past the 7th are replaced while the follower is away.
+      node.disconnect();
+      node.chain = [...node.chain.slice(0, 7), block(8, "b"), block(9, "b")];
+    }
+    if (event.block?.id === "b9") {
+      break;
+    }
+  }
+
+  // Every block served before the disconnection, a single roll backward to where the fork starts,
+  // then the new blocks.
+  t.deepEqual(
+    events.map((event) => (event.direction === "forward" ? event.block.id : event.point)),
+    [...Array.from({ length: 10 }, (_, i) => `a${i + 1}`), point(block(7)), "b8", "b9"],
+  );
+
+  // Resumed from the most recent block seen.
+  t.is(node.intersections.length, 2);
+  t.deepEqual(node.intersections[1][0], point(block(10)));
+});
+
+test("🎉 chain follower: count events across a fork during a disconnection", async (t) => {
+  const node = newFakeNode(Array.from({ length: 10 }, (_, i) => block(i + 1)));
+
+  const { asyncChainFollower } = await newResilientChainFollower(
+    () => node.connect(),
+    ["origin"],
+    12,
+    { minDelay: 10 },
+  );
+
+  const events = [];
+  for await (const event of asyncChainFollower()) {
+    events.push(event);
+    if (events.length === 4) {
+      node.disconnect();
+      node.chain = [...node.chain.slice(0, 7), block(8, "b"), block(9, "b")];
+    }
+  }
+
+  // The roll backward counts as any other event.
+  t.is(events.length, 12);
+  t.like(events.at(-2), { direction: "backward", point: point(block(7)) });
+  t.like(events.at(-1), { direction: "forward", block: { id: "b8" } });
+});
+
+test("🎉 chain follower: disposed while reconnecting", async (t) => {
+  const node = newFakeNode([block(1)]);
+
+  let reconnecting;
+
+  const reconnected = new Promise((resolve) => {
+    reconnecting = resolve;
+  });
+
+  let connections = 0;
+
+  const follower = await newResilientChainFollower(
+    () => {
+      connections += 1;
+      if (connections === 1) {
+        return node.connect();
+      }
+      // Hold the new connection back until the follower is disposed.
+      return new Promise((resolve) => reconnecting(() => resolve(node.connect())));
+    },
+    ["origin"],
+    undefined,
+    { minDelay: 10 },
+  );
+
+  const events = follower.asyncChainFollower();
+
+  t.like((await events.next()).value, { block: { id: "a1" } });
+
+  const next = events.next();
+
+  node.disconnect();
+
+  const connect = await reconnected;
+
+  follower.dispose();
+
+  connect();
+
+  t.deepEqual(await next, { done: true, value: undefined });
+  t.is(node.intersections.length, 1);
+});
+
+// Roll-forwards to the given blocks, each becoming the tip, or roll-backwards to a given point.
+async function* chainSync(...steps) {
+  let tip;
+  for (const step of steps) {
+    if (step.height !== undefined) {
+      tip = step;
+      yield { direction: "forward", block: step, tip };
+    } else {
+      tip = step.to;
+      yield { direction: "backward", point: point(step.to), tip };
+    }
+  }
+}
+
+const summary = (events) =>
+  events.map((event) => (event.direction === "forward" ? event.block.id : `<${event.point.id}`));
+
+test("🎉 chain follower: confirmation depth", async (t) => {
+  const unsettled = [];
+  const events = [];
+  for await (const event of withConfirmations(
+    chainSync(block(1), block(2), block(3), block(4), block(5)),
+    2,
+    (event) => unsettled.push(event),
+  )) {
+    events.push(event);
+  }
+
+  // Only blocks at least 2 blocks deep below the tip.
+  t.deepEqual(summary(events), ["a1", "a2", "a3"]);
+  t.deepEqual(summary(unsettled), ["a1", "a2", "a3", "a4", "a5"]);
+});
+
+test("🎉 chain follower: roll backward with confirmations", async (t) => {
+  const events = [];
+  for await (const event of withConfirmations(
+    chainSync(
+      block(1),
+      block(2),
+      block(3),
+      block(4),
+      { to: block(3) },
+      block(4, "b"),
+      block(5, "b"),
+      { to: block(1) },
+      block(2, "c"),
+    ),
+    2,
+  )) {
+    events.push(event);
+  }
+
+  // Blocks rolled back before settling are never seen; a rollback past settled blocks is.
+  t.deepEqual(summary(events), ["a1", "a2", "a3", "<a1"]);
+});
@@ -0,0 +1,116 @@
+import test from "ava";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { newInMemoryCheckpointStore, newJsonFileCheckpointStore, ogmios } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+function point(slot) {
+  return { id: `${slot}`.padStart(64, "0"), slot };
+}
+
+test("🎉 in-memory checkpoints: most recent first", (t) => {
+  const checkpoints = newInMemoryCheckpointStore();
+
+  checkpoints.save(point(10));
+  checkpoints.save(point(30));
+  checkpoints.save(point(20));
+
+  t.deepEqual(checkpoints.load(), [point(30), point(20), point(10)]);
+});
+
+test("🎉 in-memory checkpoints: rollback", (t) => {
+  const checkpoints = newInMemoryCheckpointStore([point(10), point(20), point(30)]);
+
+  checkpoints.rollback(point(20));
+  t.deepEqual(checkpoints.load(), [point(20), point(10)]);
+
+  checkpoints.rollback("origin");
+  t.deepEqual(checkpoints.load(), ["origin"]);
+});
+
+test("🎉 in-memory checkpoints: exponentially spaced", (t) => {
+  const checkpoints = newInMemoryCheckpointStore();
+
+  for (let slot = 0; slot < 100000; slot += 20) {
+    checkpoints.save(point(slot));
+  }
+
+  const slots = checkpoints.load().map(({ slot }) => slot);
+
+  t.true(slots.length < 30);
+  t.deepEqual(
+    slots.slice(0, 10),
+    Array.from({ length: 10 }, (_, i) => 99980 - 20 * i),
+  );
+  t.is(slots[slots.length - 1], 0);
+  for (let i = 11; i < slots.length; i += 1) {
+    t.true(slots[i - 1] - slots[i] >= slots[i - 2] - slots[i - 1]);
+  }
+});
+
+test("🎉 json file checkpoints: persisted", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ogmios-mdk-"));
+  const filepath = path.join(dir, "checkpoints.json");
+
+  const before = newJsonFileCheckpointStore(filepath);
+  t.deepEqual(await before.load(), []);
+  await before.save(point(10));
+  await before.save(point(20));
+  await before.rollback(point(10));
+  await before.save(point(15));
+
+  const after = newJsonFileCheckpointStore(filepath);
+  t.deepEqual(await after.load(), [point(15), point(10)]);
+
+  await fs.rm(dir, { recursive: true });
+});
+
+test("🎉 checkpoints: chain followers saving, rolling back and resuming", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  const ids = (points) => points.map(({ id }) => id);
+
+  const original = [...server.chain];
+
+  const checkpoints = newInMemoryCheckpointStore();
+
+  await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 5, { checkpoints });
+    for await (const _event of chainFollower()) {
+      // Consume every block.
+    }
+    done();
+  }, server.url);
+
+  // Every block consumed, most recent first.
+  t.deepEqual(ids(checkpoints.load()), ids(original.slice(0, 5)).reverse());
+
+  const events = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 4, { checkpoints, pipelining: 1 });
+    const events = [];
+    for await (const event of chainFollower()) {
+      events.push(event);
+      if (events.length === 1) {
+        // Switch to a fork from the 5th block onwards.
+        server.rollBackward(original[3]);
+        server.rollForward(2);
+      }
+    }
+    done(events);
+  }, server.url);
+
+  // Resumed from the most recent checkpoint, rather than from the origin.
+  const intersections = server.requests.filter(({ method }) => method === "findIntersection");
+  t.is(intersections[1].params.points[0].id, original[4].id);
+
+  t.deepEqual(
+    events.map(({ direction, block, point }) => (direction === "forward" ? block.id : point.id)),
+    [original[5].id, original[3].id, server.chain[4].id, server.chain[5].id],
+  );
+
+  // Points rolled back are gone.
+  t.deepEqual(ids(checkpoints.load()), ids(server.chain).reverse());
+
+  await server.close();
+});
@@ -0,0 +1,152 @@
+import test from "ava";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { cli } from "../lib/cli.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+// Run the command-line tool, collecting its output.
+async function run(args, env = {}) {
+  const output = { stdout: "", stderr: "" };
+
+  const stream = (name) => ({
+    write(chunk) {
+      output[name] += chunk;
+      return true;
+    },
+  });
+
+  const code = await cli(args, { env, stdout: stream("stdout"), stderr: stream("stderr") });
+
+  return { code, ...output };
+}
+
+test("🎉 cli: queries", async (t) => {
+  const server = await startMockServer({
+    ledgerState: {
+      epoch: 42,
+      utxo: (params) => [{ params, value: { ada: { lovelace: 18446744073709551616n } } }],
+    },
+    network: { blockHeight: 1337 },
+  });
+
+  t.deepEqual(await run(["query", "ledger", "epoch", "--url", server.url]), {
+    code: 0,
+    stdout: "42\n",
+    stderr: "",
+  });
+
+  const { stdout } = await run(["query", "ledger", "utxo", "--params", '{"addresses":["addr1"]}'], {
+    OGMIOS_URL: server.url,
+  });
+  t.is(
+    stdout,
+    '[{"params":{"addresses":["addr1"]},"value":{"ada":{"lovelace":18446744073709551616}}}]\n',
+  );
+
+  t.like(await run(["--url", server.url, "query", "network", "blockHeight"]), {
+    code: 0,
+    stdout: "1337\n",
+  });
+
+  t.like(await run(["rpc", "queryLedgerState/epoch", "{}", "--url", server.url]), {
+    code: 0,
+    stdout: "42\n",
+  });
+
+  const failure = await run(["query", "ledger", "nope", "--url", server.url]);
+  t.is(failure.code, 1);
+  t.regex(failure.stderr, /^OgmiosRpcError: /);
+
+  await server.close();
+});
+
+test("🎉 cli: follow", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  const events = async (args) => {
+    const { code, stdout } = await run(["follow", ...args, "--url", server.url]);
+    t.is(code, 0);
+    return stdout
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+  };
+
+  const fromOrigin = await events(["--from", "origin", "--count", "3"]);
+  t.deepEqual(
+    fromOrigin.map(({ direction, block }) => [direction, block.height]),
+    [
+      ["forward", 1],
+      ["forward", 2],
+      ["forward", 3],
+    ],
+  );
+
+  const { id, slot } = server.chain[7];
+  const fromPoint = await events(["--from", `${slot}.${id}`, "--count", "2"]);
+  t.deepEqual(
+    fromPoint.map(({ block }) => block.height),
+    [9, 10],
+  );
+
+  await server.close();
+});
+
+test("🎉 cli: submit and evaluate", async (t) => {
+  const server = await startMockServer();
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "ogmios-mdk-"));
+
+  const cbor = "84a300";
+
+  const files = {
+    hex: path.join(dir, "hex.cbor"),
+    envelope: path.join(dir, "tx.signed"),
+    binary: path.join(dir, "binary.cbor"),
+  };
+
+  await fs.writeFile(files.hex, `${cbor}\n`);
+  await fs.writeFile(files.envelope, JSON.stringify({ type: "Tx ConwayEra", cborHex: cbor }));
+  await fs.writeFile(files.binary, Buffer.from(cbor, "hex"));
+
+  const ids = new Set();
+  for (const file of Object.values(files)) {
+    const { code, stdout } = await run(["submit", file, "--url", server.url]);
+    t.is(code, 0);
+    ids.add(JSON.parse(stdout).transaction.id);
+  }
+  t.is(ids.size, 1);
+
+  t.deepEqual(await run(["evaluate", files.hex, "--url", server.url]), {
+    code: 0,
+    stdout: "[]\n",
+    stderr: "",
+  });
+
+  await server.close();
+});
+
+test("☠️ cli: usage errors", async (t) => {
+  const help = await run(["--help"]);
+  t.is(help.code, 0);
+  t.regex(help.stdout, /^Usage: ogmios-mdk/);
+
+  for (const args of [
+    [],
+    ["nope"],
+    ["query", "ledger"],
+    ["query", "mempool", "size"],
+    ["query", "ledger", "utxo", "--params", "{"],
+    ["follow", "--from", "42"],
+    ["follow", "--count", "0"],
+    ["submit", "tx.cbor", "--count", "1"],
+    ["rpc"],
+    ["--nope"],
+  ]) {
+    const { code, stdout, stderr } = await run(args);
+    t.is(code, 2, args.join(" "));
+    t.is(stdout, "");
+    t.regex(stderr, /Usage: ogmios-mdk/);
+  }
+});
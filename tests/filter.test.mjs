@@ -0,0 +1,48 @@
+import test from "ava";
+import { ogmios, InvalidArgumentError } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+test("🎉 filter transactions", async (t) => {
+  const tx = (id, fields) => ({ id, spends: "inputs", inputs: [], outputs: [], ...fields });
+
+  const server = await startMockServer({
+    chain: [
+      { transactions: [tx("a", { outputs: [{ address: "addr_alice", value: {} }] }), tx("b")] },
+      { transactions: [tx("c")] },
+      { transactions: [tx("d", { inputs: [{ transaction: { id: "a" }, index: 0 }] })] },
+      { transactions: [tx("e", { mint: { policy: { token: 1 } } }), tx("f")] },
+      { transactions: [tx("g", { metadata: { labels: { 674: { json: "hi" } } } })] },
+      { transactions: [tx("h"), tx("k")] },
+    ],
+  });
+
+  const events = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 9, {
+      filter: { addresses: ["addr_alice"], policyIds: ["policy"] },
+    });
+    const events = [];
+    for await (const event of chainFollower()) {
+      events.push(event);
+      if (event.block?.height === 4) {
+        chainFollower.setFilter({ metadataLabels: [674], predicate: ({ id }) => id === "i" });
+        server.rollBackward(1);
+        server.rollForward([{ transactions: [tx("j")] }, { transactions: [tx("i")] }]);
+      }
+    }
+    done(events);
+  }, server.url);
+
+  t.deepEqual(
+    events.map(({ direction, block }) =>
+      direction === "forward" ? [block.height, block.transactions.map(({ id }) => id)] : direction,
+    ),
+    [[1, ["a"]], [3, ["d"]], [4, ["e"]], [5, ["g"]], "backward", [7, ["i"]]],
+  );
+
+  await t.throwsAsync(
+    () => ogmios((ws) => ws.newChainFollower({ filter: { addresses: "addr_alice" } }), server.url),
+    { instanceOf: InvalidArgumentError },
+  );
+
+  await server.close();
+});
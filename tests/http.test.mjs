@@ -0,0 +1,170 @@
+import test from "ava";
+import http from "node:http";
+import {
+  createClient,
+  ogmios,
+  EvaluateTransactionError,
+  OgmiosConnectionError,
+  OgmiosRpcError,
+  StatelessTransportError,
+} from "../lib/index.mjs";
+
+// A stub of Ogmios' HTTP endpoint, answering JSON-RPC requests with handlers by method, which
+// return the result as JSON text, or throw a JSON-RPC error. Other methods aren't found.
+async function startStubServer(handlers) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const { method, params, id } = JSON.parse(body);
+
+      requests.push({ method, contentType: req.headers["content-type"] });
+
+      let status = 200;
+      let reply;
+      try {
+        if (handlers[method] === undefined) {
+          throw { code: -32601, message: `unknown method '${method}'` };
+        }
+        const result = handlers[method](params);
+        reply = `{"jsonrpc":"2.0","method":"${method}","result":${result},"id":"${id}"}`;
+      } catch (error) {
+        status = 400;
+        reply = JSON.stringify({ jsonrpc: "2.0", method, error, id });
+      }
+
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(reply);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+test("🎉 http: stateless queries, submission and evaluation", async (t) => {
+  const server = await startStubServer({
+    "queryLedgerState/epoch": () => "42",
+    "queryLedgerState/tip": () => '{"slot":1,"id":"00"}',
+    "queryLedgerState/utxo": () =>
+      '[{"transaction":{"id":"a"},"index":0,"value":{"ada":{"lovelace":18446744073709551616}}}]',
+    "queryNetwork/blockHeight": () => "1337",
+    submitTransaction: ({ transaction }) => `{"transaction":{"id":"${transaction.cbor}"}}`,
+    evaluateTransaction: () => {
+      throw { code: 3010, message: "Some scripts failed.", data: [] };
+    },
+  });
+
+  await ogmios(async (ws, done) => {
+    t.is(await ws.queryLedgerState("epoch"), 42);
+    t.is(await ws.queryNetwork("blockHeight"), 1337);
+    t.is(await ws.request("queryLedgerState/epoch"), 42);
+
+    const [{ value }] = await ws.queryLedgerState("utxo", { addresses: ["addr1"] });
+    t.is(value.ada.lovelace, 18446744073709551616n);
+
+    t.deepEqual(await ws.queryLedgerStateBatch({ epoch: "epoch", tip: "tip" }), {
+      epoch: 42,
+      tip: { slot: 1, id: "00" },
+    });
+
+    t.is(await ws.submitTransaction("84a300"), "84a300");
+
+    const error = await t.throwsAsync(ws.evaluateTransaction("84a300"), {
+      instanceOf: EvaluateTransactionError,
+    });
+    t.is(error.reason, "ScriptExecutionFailure");
+
+    await t.throwsAsync(ws.queryLedgerState("nope"), { instanceOf: OgmiosRpcError, code: -32601 });
+
+    done();
+  }, server.url);
+
+  t.true(server.requests.every(({ contentType }) => contentType === "application/json"));
+
+  await server.close();
+});
+
+test("☠️ http: stateful operations", async (t) => {
+  const server = await startStubServer({ "queryLedgerState/tip": () => '{"slot":1,"id":"00"}' });
+
+  const client = await createClient(server.url, { pool: 2 });
+
+  for (const operation of [
+    () => client.newChainFollower(["origin"]),
+    () => client.newChainFollower(["origin"], { reconnect: true }),
+    () => client.newMempoolMonitor(),
+    () => client.withLedgerState("tip", (state) => state.query("epoch")),
+    () => client.queryLedgerStateBatch({ epoch: "epoch" }, { point: "tip" }),
+  ]) {
+    await t.throwsAsync(operation(), {
+      instanceOf: StatelessTransportError,
+      message: /needs a WebSocket connection/,
+    });
+  }
+
+  // Nothing stateful ever reached the server, and the client is still usable.
+  t.deepEqual(
+    server.requests.map(({ method }) => method),
+    ["queryLedgerState/tip", "queryLedgerState/tip"],
+  );
+  t.like(await client.queryLedgerState("tip"), { slot: 1 });
+
+  await client.close();
+
+  await server.close();
+});
+
+test("☠️ http: no JSON-RPC response", async (t) => {
+  let failing = true;
+
+  // A proxy failing once, in front of a server answering every query with 42.
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (failing) {
+        failing = false;
+        res.writeHead(502, { "Content-Type": "text/html" });
+        res.end("<html>Bad Gateway</html>");
+      } else {
+        const { method, id } = JSON.parse(body);
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(`{"jsonrpc":"2.0","method":"${method}","result":42,"id":"${id}"}`);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  await ogmios(async (ws, done) => {
+    const error = await t.throwsAsync(ws.queryLedgerState("epoch"), {
+      instanceOf: OgmiosConnectionError,
+    });
+    t.is(error.code, 502);
+    t.is(error.reason, "HTTP 502 Bad Gateway");
+    t.is(error.method, "queryLedgerState/epoch");
+
+    // Only that request failed.
+    t.is(await ws.queryLedgerState("epoch"), 42);
+
+    done();
+  }, url);
+
+  await new Promise((resolve) => server.close(resolve));
+
+  // Unreachable server.
+  await t.throwsAsync(
+    ogmios((ws) => ws.queryLedgerState("epoch"), url),
+    { instanceOf: OgmiosConnectionError },
+  );
+});
@@ -1,5 +1,16 @@
 import test from "ava";
-import { ogmios, Json } from "../lib/index.mjs";
+import {
+  createClient,
+  ogmios,
+  Json,
+  AcquireLedgerStateError,
+  EvaluateTransactionError,
+  InvalidArgumentError,
+  OgmiosAbortError,
+  OgmiosConnectionError,
+  OgmiosRpcError,
+  SubmitTransactionError,
+} from "../lib/index.mjs";
 
 test("🎉 fetch tip", async (t) => {
   const response = await ogmios((ws, done) => {
@@ -32,6 +43,70 @@ test("🎉 query network", async (t) => {
   t.true(Number.isInteger(Date.parse(time)));
 });
 
+test("🎉 concurrent queries", async (t) => {
+  const [tip, time] = await ogmios((ws, done) => {
+    Promise.all([ws.queryLedgerState("tip"), ws.queryNetwork("startTime")]).then(done);
+  });
+
+  t.is(typeof tip.id, "string");
+  t.is(typeof tip.slot, "number");
+  t.true(Number.isInteger(Date.parse(time)));
+});
+
+test("🎉 long-lived client", async (t) => {
+  const client = await createClient(undefined, { pool: 2 });
+
+  const [tip, startTime] = await Promise.all([
+    client.queryLedgerState("tip"),
+    client.queryNetwork("startTime"),
+  ]);
+
+  t.is(client.state, "open");
+  t.is(typeof tip.slot, "number");
+  t.is(typeof startTime, "string");
+
+  await client.close();
+
+  t.is(client.state, "closed");
+  await t.throwsAsync(() => client.queryLedgerState("tip"), { instanceOf: OgmiosConnectionError });
+});
+
+test("🎉 query while following the chain", async (t) => {
+  const [child, tip] = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(
+      [
+        {
+          id: "3d6f139f9f019668fe0412cacfaeb9e0be42e7b0f6ab21d6bddbc12d771ec18a",
+          slot: 86268539,
+        },
+      ],
+      1,
+    );
+
+    const tip = ws.queryLedgerState("tip");
+
+    for await (const { block } of chainFollower()) {
+      done([block, await tip]);
+    }
+  });
+
+  t.is(child.id, "3d339c834346ec80ed08e67e4d0910c605ea9afdec39ed1c19e57944341517ce");
+  t.is(typeof tip.id, "string");
+});
+
+test("🎉 query acquired ledger state", async (t) => {
+  const [point, tip, epoch] = await ogmios(async (ws, done) => {
+    const result = await ws.withLedgerState("tip", async (state) => {
+      const [tip, epoch] = await Promise.all([state.query("tip"), state.query("epoch")]);
+      return [state.point, tip, epoch];
+    });
+    done(result);
+  });
+
+  t.deepEqual(tip, point);
+  t.true(Number.isInteger(epoch));
+});
+
 test("🎉 fetch child block", async (t) => {
   const child = await ogmios(async (ws, done) => {
     const chainFollower = await ws.newChainFollower(
@@ -52,6 +127,27 @@ test("🎉 fetch child block", async (t) => {
   t.is(child.id, "3d339c834346ec80ed08e67e4d0910c605ea9afdec39ed1c19e57944341517ce");
 });
 
+test("🎉 fetch child block (reconnecting)", async (t) => {
+  const child = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(
+      [
+        {
+          id: "3d6f139f9f019668fe0412cacfaeb9e0be42e7b0f6ab21d6bddbc12d771ec18a",
+          slot: 86268539,
+        },
+      ],
+      1,
+      { reconnect: true },
+    );
+
+    for await (const { block } of chainFollower()) {
+      done(block);
+    }
+  });
+
+  t.is(child.id, "3d339c834346ec80ed08e67e4d0910c605ea9afdec39ed1c19e57944341517ce");
+});
+
 test("🎉 await next block (unlimited)", async (t) => {
   t.timeout(120 * 1000, "no new block produced within a 2min timeframe...");
 
@@ -80,6 +176,36 @@ test("🎉 await next block (only one)", async (t) => {
   t.is(typeof tip.slot, "number");
 });
 
+test("🎉 stop following the chain", async (t) => {
+  const count = await ogmios(async (ws, done) => {
+    const controller = new AbortController();
+    const chainFollower = await ws.newChainFollower(["origin"], { signal: controller.signal });
+    let count = 0;
+    for await (const _ of chainFollower()) {
+      count += 1;
+      if (count === 3) {
+        controller.abort();
+      }
+    }
+    done(count);
+  });
+
+  t.is(count, 3);
+});
+
+test("🎉 mempool size", async (t) => {
+  const size = await ogmios(async (ws, done) => {
+    const mempoolMonitor = await ws.newMempoolMonitor();
+    const size = await mempoolMonitor.sizeOfMempool();
+    await mempoolMonitor.release();
+    done(size);
+  });
+
+  t.is(typeof size.maxCapacity.bytes, "number");
+  t.is(typeof size.currentSize.bytes, "number");
+  t.is(typeof size.transactions.count, "number");
+});
+
 test("☠️ invalid query", async (t) => {
   const result = await ogmios(async (ws, done) => {
     try {
@@ -93,9 +219,64 @@ test("☠️ invalid query", async (t) => {
   t.is(result, "failure");
 });
 
+test("☠️ invalid query error", async (t) => {
+  const error = await ogmios(async (ws, done) => {
+    try {
+      await ws.queryLedgerState("foo");
+      done();
+    } catch (e) {
+      done(e);
+    }
+  });
+
+  t.true(error instanceof OgmiosRpcError);
+  t.is(error.method, "queryLedgerState/foo");
+  t.is(typeof error.code, "number");
+  t.truthy(error.stack);
+});
+
+test("☠️ batch of ledger-state queries with an invalid query", async (t) => {
+  const { results, errors } = await ogmios((ws, done) =>
+    ws.queryLedgerStateBatch({ epoch: "epoch", foo: "foo" }, { failFast: false }).then(done),
+  );
+
+  t.true(Number.isInteger(results.epoch));
+  t.true(errors.foo instanceof OgmiosRpcError);
+
+  await t.throwsAsync(() => ogmios((ws) => ws.queryLedgerStateBatch(["epoch"])), {
+    instanceOf: InvalidArgumentError,
+  });
+});
+
+test("☠️ acquire unknown ledger state", async (t) => {
+  const error = await ogmios(async (ws, done) => {
+    try {
+      await ws.withLedgerState({ id: "0000", slot: 0 }, (state) => state.query("tip"));
+      done();
+    } catch (e) {
+      done(e);
+    }
+  });
+
+  t.true(error instanceof AcquireLedgerStateError);
+});
+
+test("☠️ aborted query", async (t) => {
+  const error = await ogmios(async (ws, done) => {
+    try {
+      await ws.queryLedgerState("tip", {}, { signal: AbortSignal.abort() });
+    } catch (e) {
+      done(e);
+    }
+  });
+
+  t.true(error instanceof OgmiosAbortError);
+  t.is(error.method, "queryLedgerState/tip");
+});
+
 test("☠️ non-existing connection", async (t) => {
   await t.throwsAsync(() => ogmios((_, done) => done(), "ws://127.0.0.1:1234"), {
-    any: true,
+    instanceOf: OgmiosConnectionError,
     message: /connect ECONNREFUSED/,
   });
 });
@@ -117,7 +298,7 @@ test("☠️ invalid newChainFollower start", async (t) => {
       }
     },
     {
-      any: true,
+      instanceOf: InvalidArgumentError,
       message: /expected an Array/,
     },
   );
@@ -140,7 +321,7 @@ test("☠️ invalid newChainFollower count", async (t) => {
       }
     },
     {
-      any: true,
+      instanceOf: InvalidArgumentError,
       message: /expected an Integer/,
     },
   );
@@ -163,8 +344,38 @@ test("☠️ invalid newChainFollower intersection", async (t) => {
       }
     },
     {
-      any: true,
+      instanceOf: OgmiosRpcError,
       message: /Invalid request/,
     },
   );
 });
+
+test("☠️ submit malformed transaction", async (t) => {
+  const error = await ogmios(async (ws, done) => {
+    try {
+      await ws.submitTransaction("00");
+      done();
+    } catch (e) {
+      done(e);
+    }
+  });
+
+  t.true(error instanceof SubmitTransactionError);
+  t.is(typeof error.code, "number");
+  t.is(typeof error.reason, "string");
+});
+
+test("☠️ evaluate malformed transaction", async (t) => {
+  const error = await ogmios(async (ws, done) => {
+    try {
+      await ws.evaluateTransaction("00");
+      done();
+    } catch (e) {
+      done(e);
+    }
+  });
+
+  t.true(error instanceof EvaluateTransactionError);
+  t.is(typeof error.code, "number");
+  t.is(typeof error.reason, "string");
+});
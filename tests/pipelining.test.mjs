@@ -0,0 +1,109 @@
+import test from "ava";
+import { ogmios, InvalidArgumentError } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+test("🎉 pipelining depth", async (t) => {
+  const server = await startMockServer({ chain: 3 });
+
+  const nextBlocks = () => server.requests.filter(({ method }) => method === "nextBlock").length;
+
+  const stats = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], { pipelining: 4 });
+    const events = chainFollower();
+    for (let i = 0; i < 3; i += 1) {
+      await events.next();
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    done(chainFollower.stats());
+  }, server.url);
+
+  // The roll backward to the intersection and 3 blocks consumed, and 4 more requests waiting.
+  t.is(nextBlocks(), 8);
+  t.like(stats, { strategy: "fixed", depth: 4, inFlight: 4, buffered: 0, received: 4 });
+
+  await server.close();
+});
+
+test("🎉 pipelining depth under a slow consumer", async (t) => {
+  const server = await startMockServer({ chain: 100 });
+
+  const nextBlocks = () => server.requests.filter(({ method }) => method === "nextBlock").length;
+
+  const stats = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], { pipelining: 5 });
+    const events = chainFollower();
+    await events.next();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    done(chainFollower.stats());
+  }, server.url);
+
+  // The roll backward to the intersection and 1 block consumed, and 5 more blocks ahead.
+  t.is(nextBlocks(), 7);
+  t.like(stats, { strategy: "fixed", depth: 5 });
+  t.is(stats.inFlight + stats.buffered, 5);
+
+  await server.close();
+});
+
+test("🎉 pipelining bounded by unconsumed blocks", async (t) => {
+  const server = await startMockServer({ chain: 30 });
+
+  const { heights, stats } = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 30, {
+      pipelining: { strategy: "bounded", depth: 4, maxBuffered: 6 },
+    });
+    const heights = [];
+    for await (const { block } of chainFollower()) {
+      const { inFlight, buffered } = chainFollower.stats();
+      t.true(inFlight <= 4 && inFlight + buffered <= 6);
+      heights.push(block.height);
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+    done({ heights, stats: chainFollower.stats() });
+  }, server.url);
+
+  t.deepEqual(
+    heights,
+    Array.from({ length: 30 }, (_, ix) => ix + 1),
+  );
+  t.like(stats, { strategy: "bounded", inFlight: 0, buffered: 0, received: 31, consumed: 31 });
+
+  await server.close();
+});
+
+test("🎉 adaptive pipelining", async (t) => {
+  const server = await startMockServer({ chain: 50 });
+
+  const { depths, stats } = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 50, {
+      pipelining: { strategy: "adaptive", minDepth: 2, maxDepth: 8 },
+    });
+    const depths = [];
+    for await (const _ of chainFollower()) {
+      depths.push(chainFollower.stats().depth);
+    }
+    done({ depths, stats: chainFollower.stats() });
+  }, server.url);
+
+  t.is(depths.length, 50);
+  t.true(depths.every((depth) => depth >= 2 && depth <= 8));
+  t.like(stats, { strategy: "adaptive", received: 51, consumed: 51 });
+  t.true(stats.roundTripTime > 0);
+  t.true(stats.blocksPerSecond > 0);
+
+  await server.close();
+});
+
+test("☠️ invalid pipelining", async (t) => {
+  const server = await startMockServer();
+
+  for (const pipelining of [0, "fast", { strategy: "eager" }, { strategy: "fixed", maxDepth: 2 }]) {
+    await t.throwsAsync(
+      () => ogmios((ws) => ws.newChainFollower({ pipelining }), server.url),
+      { instanceOf: InvalidArgumentError },
+      JSON.stringify(pipelining),
+    );
+  }
+
+  await server.close();
+});
@@ -0,0 +1,102 @@
+import test from "ava";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { ogmios, OgmiosConnectionError, OgmiosError, OgmiosRpcError } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+const LOVELACE = 123456789012345678901234567890n;
+
+async function tmpFile(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mdk-"));
+  t.teardown(() => fs.rm(dir, { recursive: true, force: true }));
+  return path.join(dir, "session.jsonl");
+}
+
+test("🎉 record & replay: queries and chain followers", async (t) => {
+  const session = await tmpFile(t);
+
+  const server = await startMockServer({
+    chain: 20,
+    ledgerState: { treasury: { ada: { lovelace: LOVELACE } } },
+  });
+
+  const app = async (ws, done) => {
+    const treasury = await ws.queryLedgerState("treasury");
+    const unknown = await ws.queryLedgerState("foo").catch((e) => e);
+    const chainFollower = await ws.newChainFollower(["origin"], 20);
+    const ids = [];
+    for await (const { block } of chainFollower()) {
+      ids.push(block.id);
+    }
+    done({ treasury, unknown, ids });
+  };
+
+  const recorded = await ogmios(app, server.url, { record: session });
+
+  await server.close();
+
+  const content = await fs.readFile(session, "utf8");
+
+  t.true(content.includes(`"lovelace":${LOVELACE}`));
+
+  const replayed = await ogmios(app, undefined, { replay: session });
+
+  t.is(replayed.treasury.ada.lovelace, LOVELACE);
+  t.true(replayed.unknown instanceof OgmiosRpcError);
+  t.is(replayed.unknown.message, recorded.unknown.message);
+  t.deepEqual(replayed.ids, recorded.ids);
+});
+
+test("🎉 record & replay: connection losses", async (t) => {
+  const session = await tmpFile(t);
+
+  const server = await startMockServer();
+
+  const app = async (ws) => {
+    await ws.queryLedgerState("tip");
+    server.disconnect();
+    await ws.queryLedgerState("tip");
+  };
+
+  const recorded = await t.throwsAsync(() => ogmios(app, server.url, { record: session }), {
+    instanceOf: OgmiosConnectionError,
+  });
+
+  await server.close();
+
+  const replayed = await t.throwsAsync(() => ogmios(app, undefined, { replay: session }), {
+    instanceOf: OgmiosConnectionError,
+  });
+
+  t.is(replayed.code, recorded.code);
+
+  const refused = await t.throwsAsync(
+    () => ogmios(() => {}, "ws://127.0.0.1:1", { record: session }),
+    { instanceOf: OgmiosConnectionError },
+  );
+
+  t.is(
+    (await ogmios(() => {}, undefined, { replay: session }).catch((e) => e)).message,
+    refused.message,
+  );
+});
+
+test("☠️ record & replay: diverging application", async (t) => {
+  const session = await tmpFile(t);
+
+  const server = await startMockServer({ chain: 3 });
+
+  await ogmios((ws, done) => ws.queryLedgerState("tip").then(done), server.url, {
+    record: session,
+  });
+
+  await server.close();
+
+  const error = await ogmios((ws, done) => ws.queryNetwork("tip").catch(done), undefined, {
+    replay: session,
+  });
+
+  t.true(error instanceof OgmiosError);
+  t.regex(error.message, /replay diverged/);
+});
@@ -0,0 +1,161 @@
+import test from "ava";
+import fs from "node:fs/promises";
+import path from "node:path";
+import JsonBig from "@cardanosolutions/json-bigint";
+import { Json } from "../lib/index.mjs";
+import { findMember, parseEntries, peekId } from "../lib/safe-json.mjs";
+import { sanitizeResponse } from "../lib/bigint-paths.mjs";
+
+const FIXTURES = path.join(import.meta.dirname, "fixtures", "responses");
+
+const QUANTITIES = [
+  "atLeast",
+  "cpu",
+  "lovelace",
+  "maxLovelaceSupply",
+  "memory",
+  "minFeeCoefficient",
+  "minUtxoDepositCoefficient",
+];
+
+const VALUES = ["mint", "unsuitableCollateralValue", "value", "valueConsumed", "valueProduced"];
+
+// Whether a number, at the given path, denotes a quantity; i.e. a Lovelace amount, an asset
+// quantity, an execution unit, a fee coefficient, a native-script threshold or a metadatum.
+function isQuantity(keys) {
+  return (
+    QUANTITIES.includes(keys.at(-1)) || VALUES.includes(keys.at(-3)) || keys.includes("labels")
+  );
+}
+
+function leaves(json, keys = [], acc = []) {
+  if (typeof json === "number" || typeof json === "bigint") {
+    acc.push({ keys, value: json });
+  } else if (typeof json === "object" && json !== null) {
+    for (const k in json) {
+      leaves(json[k], [...keys, k], acc);
+    }
+  }
+  return acc;
+}
+
+const fixtures = await fs.readdir(FIXTURES);
+
+for (const fixture of fixtures) {
+  test(`🎉 quantities as BigInt: ${path.basename(fixture, ".json")}`, async (t) => {
+    const response = Json.parse(await fs.readFile(path.join(FIXTURES, fixture), "utf8"));
+
+    const numbers = leaves(response.result ?? response.error.data);
+
+    t.true(
+      numbers.some(({ keys }) => isQuantity(keys)),
+      "corpus has no quantity",
+    );
+
+    numbers.forEach(({ keys, value }) => {
+      t.is(typeof value, isQuantity(keys) ? "bigint" : "number", keys.join("."));
+    });
+  });
+}
+
+test("🎉 quantities as BigInt: exact digits", (t) => {
+  const response = Json.parse(
+    '{"jsonrpc":"2.0","method":"queryLedgerState/treasuryAndReserves","result":{"treasury":{"ada":{"lovelace":18446744073709551615}},"reserves":{"ada":{"lovelace":1}}}}',
+  );
+
+  t.is(response.result.treasury.ada.lovelace, 18446744073709551615n);
+  t.is(response.result.reserves.ada.lovelace, 1n);
+});
+
+test("🎉 quantities as BigInt: outside of responses", (t) => {
+  t.deepEqual(Json.parse('{"fee":{"ada":{"lovelace":42}}}'), { fee: { ada: { lovelace: 42n } } });
+  t.deepEqual(Json.parse('{"value":{"ada":{"lovelace":1},"abc":{"def":2}},"slot":3}'), {
+    value: { ada: { lovelace: 1n }, abc: { def: 2n } },
+    slot: 3,
+  });
+  t.is(Json.parse("42"), 42);
+  t.is(Json.parse("null"), null);
+});
+
+test("🎉 quantities as BigInt: only where the method has them", (t) => {
+  t.deepEqual(
+    Json.parse('{"jsonrpc":"2.0","method":"queryNetwork/tip","result":{"slot":1,"lovelace":2}}'),
+    { jsonrpc: "2.0", method: "queryNetwork/tip", result: { slot: 1, lovelace: 2 } },
+  );
+});
+
+test("🎉 fast parsing: same as json-bigint", async (t) => {
+  const $ = JsonBig({ useNativeBigInt: true });
+
+  for (const fixture of fixtures) {
+    const text = await fs.readFile(path.join(FIXTURES, fixture), "utf8");
+    t.deepEqual(Json.parse(text), sanitizeResponse($.parse(text)), fixture);
+  }
+
+  t.deepEqual(Json.parse('{"a":"b:123456789012345678","c":[-123456789012345678]}'), {
+    a: "b:123456789012345678",
+    c: [-123456789012345678n],
+  });
+});
+
+test("🎉 fast parsing: response id", (t) => {
+  t.is(peekId('{"jsonrpc":"2.0","method":"foo","result":{"id":"bar"},"id":"mdk:14"}'), "mdk:14");
+  t.is(peekId('{"id":"mdk:14","result":{"id":"bar"}, "method":"foo"}'), "mdk:14");
+  t.is(peekId('{"jsonrpc":"2.0","result":null,"id":null}'), null);
+  t.is(peekId('{"jsonrpc":"2.0","result":null}'), undefined);
+});
+
+test("🎉 fast parsing: entries one by one", async (t) => {
+  const text = await fs.readFile(path.join(FIXTURES, "queryLedgerState-stakePools.json"), "utf8");
+
+  const [key, start] = findMember(text, ["result", "error"]);
+
+  t.is(key, "result");
+  t.deepEqual(
+    [...parseEntries(text, start, "queryLedgerState/stakePools")],
+    Object.entries(Json.parse(text).result),
+  );
+
+  const entries = (text) => [...parseEntries(text, findMember(text, ["result"])[1])];
+
+  t.deepEqual(entries('{ "result" : [ 1 , {"a":"]"}, [], "\\"" ] }'), [1, { a: "]" }, [], '"']);
+  t.deepEqual(entries('{"result":{}}'), []);
+});
+
+test("🎉 constructor keys: kept as they are", (t) => {
+  for (const text of [
+    '{"constructor":0,"fields":[{"bytes":"constructor"},{"int":1}]}',
+    '{"constructor":0,"fields":[{"bytes":"constructor"},{"int":123456789012345678901234567890}]}',
+    '{"map":[{"k":{"constructor":1,"fields":[]},"v":{"list":[]}}],"constr":"constructor"}',
+  ]) {
+    const json = Json.parse(text);
+    t.is(json.map?.[0].k.constructor ?? json.constructor, json.map ? 1 : 0);
+    t.is(Json.stringify(json), text);
+  }
+});
+
+test("🎉 constructor keys: no prototype pollution", (t) => {
+  for (const text of [
+    '{"__proto__":{"polluted":true},"constructor":{"prototype":{"polluted":true}}}',
+    '{"__proto__":{"polluted":true},"n":123456789012345678901234567890}',
+  ]) {
+    const json = Json.parse(text);
+    t.is(Object.getPrototypeOf(json), Object.prototype);
+    t.deepEqual(Object.keys(json), Object.keys(JSON.parse(text)));
+    t.is({}.polluted, undefined);
+    t.is(json.polluted, undefined);
+    t.is(Json.stringify(json), text);
+  }
+});
+
+test("☠️ lossless parsing: malformed", (t) => {
+  for (const text of [
+    '{"n":123456789012345678901234567890',
+    '{"n":123456789012345678901234567890,}',
+    '{"n":123456789012345678901234567890} x',
+    "[123456789012345678901234567890, tru]",
+    '[123456789012345678901234567890, "foo]',
+  ]) {
+    t.throws(() => Json.parse(text), { instanceOf: SyntaxError }, text);
+  }
+});
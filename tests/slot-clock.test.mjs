@@ -0,0 +1,189 @@
+import test from "ava";
+import {
+  createSlotClock,
+  ogmios,
+  ForecastHorizonError,
+  InvalidArgumentError,
+} from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+const START_TIME = "2022-06-01T00:00:00Z";
+
+const SYSTEM_START = Date.parse(START_TIME);
+
+// Two eras: epochs of 100 slots of 20s, then epochs of 1000 slots of 1s from slot 200, up to the
+// given epoch.
+function eraSummaries(endEpoch, safeZone = 300) {
+  const bound = (seconds, slot, epoch) => ({ time: { seconds }, slot, epoch });
+  return [
+    {
+      start: bound(0, 0, 0),
+      end: bound(4000, 200, 2),
+      parameters: { epochLength: 100, slotLength: { milliseconds: 20000 }, safeZone: 200 },
+    },
+    {
+      start: bound(4000, 200, 2),
+      end: bound(4000 + (endEpoch - 2) * 1000, 200 + (endEpoch - 2) * 1000, endEpoch),
+      parameters: { epochLength: 1000, slotLength: { milliseconds: 1000 }, safeZone },
+    },
+  ];
+}
+
+const at = (seconds) => new Date(SYSTEM_START + seconds * 1000);
+
+test("🎉 slot clock: conversions across eras", async (t) => {
+  const server = await startMockServer({
+    ledgerState: { eraSummaries: eraSummaries(1000000) },
+    network: { startTime: START_TIME },
+  });
+
+  await ogmios(async (ws, done) => {
+    const clock = await createSlotClock(ws);
+
+    t.deepEqual(clock.slotToDate(0), at(0));
+    t.deepEqual(clock.slotToDate(199), at(3980));
+    t.deepEqual(clock.slotToDate(200), at(4000));
+    t.deepEqual(clock.slotToDate(250), at(4050));
+
+    t.is(clock.dateToSlot(at(0)), 0);
+    t.is(clock.dateToSlot(at(39.999)), 1);
+    t.is(clock.dateToSlot(at(4000.5)), 200);
+    t.is(clock.dateToSlot(at(4050).getTime()), 250);
+
+    t.is(clock.slotToEpoch(199), 1);
+    t.is(clock.slotToEpoch(200), 2);
+    t.is(clock.slotToEpoch(1199), 2);
+    t.is(clock.slotToEpoch(1200), 3);
+
+    t.deepEqual(clock.epochBoundaries(1), {
+      firstSlot: 100,
+      lastSlot: 199,
+      start: at(2000),
+      end: at(4000),
+    });
+    t.deepEqual(clock.epochBoundaries(3), {
+      firstSlot: 1200,
+      lastSlot: 2199,
+      start: at(5000),
+      end: at(6000),
+    });
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("🎉 slot clock: at the tip", async (t) => {
+  const server = await startMockServer({
+    chain: [{ slot: 1500 }],
+    ledgerState: { eraSummaries: eraSummaries(1000000), epoch: 3 },
+    network: { startTime: START_TIME },
+  });
+
+  const { tip, epoch, clock } = await ogmios(async (ws, done) => {
+    const [clock, tip, epoch] = await Promise.all([
+      createSlotClock(ws),
+      ws.queryLedgerState("tip"),
+      ws.queryLedgerState("epoch"),
+    ]);
+    done({ tip, epoch, clock });
+  }, server.url);
+
+  const date = clock.slotToDate(tip.slot);
+  const boundaries = clock.epochBoundaries(epoch);
+
+  t.deepEqual(date, at(5300));
+  t.is(clock.dateToSlot(date), tip.slot);
+  t.is(clock.slotToEpoch(tip.slot), epoch);
+  t.true(boundaries.firstSlot <= tip.slot && tip.slot <= boundaries.lastSlot);
+
+  await server.close();
+});
+
+test("☠️ slot clock: beyond the horizon", async (t) => {
+  const server = await startMockServer({
+    ledgerState: { eraSummaries: eraSummaries(1000000) },
+    network: { startTime: START_TIME },
+  });
+
+  await ogmios(async (ws, done) => {
+    const clock = await createSlotClock(ws);
+
+    const horizon = { slot: 200 + 999998 * 1000, epoch: 1000000, date: at(4000 + 999998 * 1000) };
+
+    t.notThrows(() => clock.slotToDate(horizon.slot - 1));
+    t.throws(() => clock.slotToDate(horizon.slot), { instanceOf: ForecastHorizonError });
+    t.throws(() => clock.dateToSlot(horizon.date), { instanceOf: ForecastHorizonError });
+    t.throws(() => clock.slotToEpoch(horizon.slot), { instanceOf: ForecastHorizonError });
+
+    const error = t.throws(() => clock.epochBoundaries(horizon.epoch), {
+      instanceOf: ForecastHorizonError,
+      message: /beyond the forecast horizon/,
+    });
+    t.like(error, horizon);
+
+    for (const conversion of [
+      () => clock.slotToDate(-1),
+      () => clock.slotToEpoch(1.5),
+      () => clock.epochBoundaries("1"),
+      () => clock.dateToSlot(new Date("nope")),
+      () => clock.dateToSlot(at(-1)),
+    ]) {
+      t.throws(conversion, { instanceOf: InvalidArgumentError });
+    }
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("🎉 slot clock: refresh near the horizon", async (t) => {
+  const now = Math.floor((Date.now() - SYSTEM_START) / 1000);
+
+  // A horizon less than a half safe zone (1500s) away, and a much further one afterwards.
+  const nearEpoch = 2 + Math.ceil((now + 100 - 4000) / 1000);
+
+  let fetched = 0;
+
+  const server = await startMockServer({
+    ledgerState: {
+      eraSummaries: () => {
+        fetched += 1;
+        return eraSummaries(fetched === 1 ? nearEpoch : nearEpoch + 100, 3000);
+      },
+    },
+    network: { startTime: START_TIME },
+  });
+
+  await ogmios(async (ws, done) => {
+    const clock = await createSlotClock(ws);
+
+    const later = Date.now() + 5000 * 1000;
+
+    // Beyond the horizon at first, but already refreshing in the background.
+    t.throws(() => clock.dateToSlot(later), { instanceOf: ForecastHorizonError });
+
+    let slot;
+    while (slot === undefined) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      try {
+        slot = clock.dateToSlot(later);
+      } catch (e) {
+        t.true(e instanceof ForecastHorizonError);
+      }
+    }
+
+    t.is(fetched, 2);
+    t.is(clock.slotToDate(slot).getTime(), Math.floor(later / 1000) * 1000);
+
+    await clock.refresh();
+
+    t.is(fetched, 3);
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
@@ -0,0 +1,86 @@
+import test from "ava";
+import { ogmios } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+test("🎉 break out of a chain follower", async (t) => {
+  const server = await startMockServer({ chain: 30 });
+
+  const nextBlocks = () => server.requests.filter(({ method }) => method === "nextBlock").length;
+
+  const { stats, tip, heights } = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], {
+      pipelining: { strategy: "bounded", depth: 5, maxBuffered: 5 },
+    });
+    for await (const { block } of chainFollower()) {
+      if (block.height === 3) {
+        break;
+      }
+    }
+    // Resolves once the requests sent ahead have been answered.
+    await chainFollower.stop();
+    const stats = chainFollower.stats();
+
+    const tip = await ws.queryLedgerState("tip");
+
+    const heights = [];
+    for await (const { block } of (await ws.newChainFollower(["origin"], 3))()) {
+      heights.push(block.height);
+    }
+
+    done({ stats, tip, heights });
+  }, server.url);
+
+  // The roll backward and 3 blocks consumed, 5 more requests sent ahead, and none after that; then
+  // the second follower's.
+  t.is(nextBlocks(), 9 + 4);
+  t.like(stats, { inFlight: 0, buffered: 0, received: 9, consumed: 4 });
+  t.is(tip.slot, server.tip().slot);
+  t.deepEqual(heights, [1, 2, 3]);
+
+  await server.close();
+});
+
+test("🎉 stop a chain follower", async (t) => {
+  const server = await startMockServer({ chain: 30 });
+
+  const { heights, stats, resumed } = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], { pipelining: 5 });
+    const heights = [];
+    for await (const { block } of chainFollower()) {
+      heights.push(block.height);
+      if (block.height === 2) {
+        await chainFollower.stop();
+      }
+    }
+    const stats = chainFollower.stats();
+
+    const resumed = [];
+    const point = { id: server.chain[9].id, slot: server.chain[9].slot };
+    for await (const { block } of (await ws.newChainFollower([point], 2))()) {
+      resumed.push(block.height);
+    }
+
+    done({ heights, stats, resumed });
+  }, server.url);
+
+  t.deepEqual(heights, [1, 2]);
+  t.like(stats, { inFlight: 0, buffered: 0 });
+  t.deepEqual(resumed, [11, 12]);
+
+  const heightsWithReconnect = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], { reconnect: true });
+    const heights = [];
+    for await (const { block } of chainFollower()) {
+      heights.push(block.height);
+      // Stop while waiting at the tip.
+      if (block.height === 30) {
+        setTimeout(() => chainFollower.stop(), 10);
+      }
+    }
+    done(heights);
+  }, server.url);
+
+  t.is(heightsWithReconnect.length, 30);
+
+  await server.close();
+});
@@ -0,0 +1,201 @@
+import test from "ava";
+import { Writable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { ogmios, InvalidArgumentError } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+const heights = (events) => events.map(({ block }) => block.height);
+
+test("🎉 streams: chain follower as a Node.js stream of objects", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  const events = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 5);
+
+    const events = [];
+    for await (const event of await chainFollower.toNodeStream()) {
+      events.push(event);
+    }
+
+    done(events);
+  }, server.url);
+
+  t.deepEqual(heights(events), [1, 2, 3, 4, 5]);
+
+  await server.close();
+});
+
+test("🎉 streams: chain follower as NDJSON, through a slow sink", async (t) => {
+  const server = await startMockServer({ chain: 100 });
+
+  const nextBlocks = () => server.requests.filter(({ method }) => method === "nextBlock").length;
+
+  const { lines, requested } = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 20, {
+      pipelining: { strategy: "bounded", depth: 5, maxBuffered: 5 },
+    });
+
+    let output = "";
+
+    let requested;
+
+    const sink = new Writable({
+      highWaterMark: 1,
+      write(chunk, _encoding, callback) {
+        output += chunk.toString();
+        // Hold the first block long enough for chain sync to race ahead, if it were to.
+        if (requested === undefined) {
+          setTimeout(() => {
+            requested = nextBlocks();
+            callback();
+          }, 100);
+        } else {
+          callback();
+        }
+      },
+    });
+
+    await pipeline(await chainFollower.toNodeStream({ format: "ndjson", highWaterMark: 1 }), sink);
+
+    done({ lines: output.trimEnd().split("\n"), requested });
+  }, server.url);
+
+  t.deepEqual(
+    heights(lines.map((line) => JSON.parse(line))),
+    Array.from({ length: 20 }, (_, i) => i + 1),
+  );
+
+  // A few blocks read ahead by the stream, and those the pipelining strategy buffers; not all 20.
+  t.true(requested < 15, `${requested} blocks requested`);
+
+  await server.close();
+});
+
+test("🎉 streams: default pipelining under a slow reader", async (t) => {
+  const server = await startMockServer({ chain: 300 });
+
+  const nextBlocks = () => server.requests.filter(({ method }) => method === "nextBlock").length;
+
+  const stats = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"]);
+
+    const stream = await chainFollower.toNodeStream({ highWaterMark: 1 });
+
+    // Read a single event, and let chain sync race ahead, if it were to.
+    await new Promise((resolve) => stream.once("readable", resolve));
+    stream.read();
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    const stats = chainFollower.stats();
+
+    stream.destroy();
+
+    done(stats);
+  }, server.url);
+
+  // The default depth, and the few events read ahead by the stream; not the whole chain.
+  t.true(stats.inFlight + stats.buffered <= 100, JSON.stringify(stats));
+  t.true(nextBlocks() < 110, `${nextBlocks()} blocks requested`);
+
+  await server.close();
+});
+
+test("🎉 streams: chain follower as a ReadableStream, cancelled", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"]);
+
+    const reader = chainFollower.toReadableStream().getReader();
+
+    const events = [];
+    for (let i = 0; i < 3; i += 1) {
+      events.push((await reader.read()).value);
+    }
+    t.deepEqual(heights(events), [1, 2, 3]);
+
+    // Waiting at the tip doesn't hold back the cancellation.
+    await reader.cancel();
+
+    t.like(chainFollower.stats(), { buffered: 0 });
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("🎉 streams: mempool as a ReadableStream of NDJSON", async (t) => {
+  const server = await startMockServer({ mempool: [{ id: "a" }, { id: "b" }] });
+
+  await ogmios(async (ws, done) => {
+    const mempoolMonitor = await ws.newMempoolMonitor();
+
+    const reader = mempoolMonitor.toReadableStream({ format: "ndjson" }).getReader();
+
+    const decoder = new TextDecoder();
+
+    const lines = [];
+    for (let i = 0; i < 2; i += 1) {
+      lines.push(decoder.decode((await reader.read()).value));
+    }
+    t.deepEqual(lines, ['{"id":"a"}\n', '{"id":"b"}\n']);
+
+    await reader.cancel();
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("🎉 streams: mempool as a Node.js stream, destroyed mid-iteration", async (t) => {
+  const server = await startMockServer({ mempool: [{ id: "a" }, { id: "b" }] });
+
+  const ids = await ogmios(async (ws, done) => {
+    const mempoolMonitor = await ws.newMempoolMonitor();
+
+    const stream = await mempoolMonitor.toNodeStream();
+
+    // Breaking out destroys the stream, while waiting for the mempool to change.
+    const ids = [];
+    for await (const { id } of stream) {
+      ids.push(id);
+      if (id === "b") {
+        break;
+      }
+    }
+
+    t.true(stream.destroyed);
+
+    // The monitor is stopped.
+    t.deepEqual(await mempoolMonitor().next(), { done: true, value: undefined });
+
+    done(ids);
+  }, server.url);
+
+  t.deepEqual(ids, ["a", "b"]);
+
+  await server.close();
+});
+
+test("☠️ streams: invalid options", async (t) => {
+  const server = await startMockServer({ chain: 1 });
+
+  await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 1);
+
+    await t.throwsAsync(() => chainFollower.toNodeStream({ format: "csv" }), {
+      instanceOf: InvalidArgumentError,
+    });
+    t.throws(() => chainFollower.toReadableStream({ highWaterMark: -1 }), {
+      instanceOf: InvalidArgumentError,
+    });
+
+    await chainFollower.stop();
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
@@ -0,0 +1,131 @@
+import test from "ava";
+import {
+  ogmios,
+  InvalidArgumentError,
+  OgmiosConnectionError,
+  SubscriptionOverflowError,
+} from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+test("🎉 several subscribers to a chain follower", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  const heights = async (subscription, limit = Number.POSITIVE_INFINITY) => {
+    const heights = [];
+    for await (const { block } of subscription) {
+      heights.push(block.height);
+      if (heights.length >= limit) {
+        break;
+      }
+    }
+    return heights;
+  };
+
+  await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 10);
+
+    const indexer = chainFollower.subscribe();
+    const metrics = chainFollower.subscribe({ bufferSize: 2, overflow: "drop" });
+    const notifier = chainFollower.subscribe({ bufferSize: 2, overflow: "error" });
+    const leaver = chainFollower.subscribe({ bufferSize: 1 });
+
+    const [indexed, left] = await Promise.all([heights(indexer), heights(leaver, 3)]);
+
+    t.deepEqual(indexed, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    t.deepEqual(left, [1, 2, 3]);
+
+    t.deepEqual(await heights(metrics), [9, 10]);
+    t.is(metrics.dropped, 8);
+
+    await t.throwsAsync(() => notifier.next(), {
+      instanceOf: SubscriptionOverflowError,
+      message: /more than 2 events/,
+    });
+    t.deepEqual(await notifier.next(), { done: true, value: undefined });
+
+    t.deepEqual(await heights(chainFollower.subscribe()), []);
+
+    t.throws(() => chainFollower.subscribe({ overflow: "ignore" }), {
+      instanceOf: InvalidArgumentError,
+    });
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("☠️ subscribers of a failing chain follower", async (t) => {
+  const server = await startMockServer({ chain: 3 });
+
+  await t.throwsAsync(
+    () =>
+      ogmios(async (ws, done) => {
+        const chainFollower = await ws.newChainFollower(["origin"]);
+
+        const subscriptions = [chainFollower.subscribe(), chainFollower.subscribe()];
+
+        const failures = subscriptions.map(async (subscription) => {
+          const heights = [];
+          try {
+            for await (const { block } of subscription) {
+              heights.push(block.height);
+              if (block.height === 3) {
+                server.disconnect();
+              }
+            }
+          } catch (e) {
+            return { heights, e };
+          }
+        });
+
+        for (const { heights, e } of await Promise.all(failures)) {
+          t.deepEqual(heights, [1, 2, 3]);
+          t.true(e instanceof OgmiosConnectionError);
+        }
+
+        done();
+      }, server.url),
+    { instanceOf: OgmiosConnectionError },
+  );
+
+  await server.close();
+});
+
+test("🎉 last subscriber leaving a chain follower", async (t) => {
+  const server = await startMockServer({ chain: 3 });
+
+  const { ended, heights } = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], { pipelining: 1 });
+
+    const subscriptions = [chainFollower.subscribe(), chainFollower.subscribe()];
+
+    await subscriptions[0].return();
+
+    // Waiting at the tip, until the last subscriber leaves.
+    for await (const { block } of subscriptions[1]) {
+      if (block.height === 3) {
+        break;
+      }
+    }
+
+    // The follower is over.
+    const ended = await chainFollower.subscribe().next();
+
+    // Once the request sent ahead is answered, the connection can follow the chain again.
+    server.rollForward(1);
+    await chainFollower.stop();
+
+    const heights = [];
+    for await (const { block } of (await ws.newChainFollower(["origin"], 4))()) {
+      heights.push(block.height);
+    }
+
+    done({ ended, heights });
+  }, server.url);
+
+  t.deepEqual(ended, { done: true, value: undefined });
+  t.deepEqual(heights, [1, 2, 3, 4]);
+
+  await server.close();
+});
@@ -0,0 +1,409 @@
+import test from "ava";
+import {
+  createClient,
+  ogmios,
+  AcquireLedgerStateError,
+  InvalidArgumentError,
+  OgmiosConnectionError,
+  OgmiosRpcError,
+  SubmitTransactionError,
+} from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+test("🎉 mock: query fixtures", async (t) => {
+  const server = await startMockServer({
+    chain: 10,
+    ledgerState: { epoch: 42, utxo: ({ addresses }) => addresses.map((address) => ({ address })) },
+  });
+
+  const [tip, epoch, utxo, height] = await ogmios(
+    (ws, done) =>
+      Promise.all([
+        ws.queryLedgerState("tip"),
+        ws.queryLedgerState("epoch"),
+        ws.queryLedgerState("utxo", { addresses: ["addr_test1"] }),
+        ws.queryNetwork("blockHeight"),
+      ]).then(done),
+    server.url,
+  );
+
+  t.deepEqual(tip, { id: server.chain[9].id, slot: server.chain[9].slot });
+  t.is(epoch, 42);
+  t.deepEqual(utxo, [{ address: "addr_test1" }]);
+  t.is(height, 10);
+
+  await server.close();
+});
+
+test("☠️ mock: query without fixture", async (t) => {
+  const server = await startMockServer();
+
+  const error = await ogmios((ws, done) => ws.queryLedgerState("foo").catch(done), server.url);
+
+  t.true(error instanceof OgmiosRpcError);
+  t.is(error.method, "queryLedgerState/foo");
+
+  await server.close();
+});
+
+test("🎉 mock: follow the chain", async (t) => {
+  const server = await startMockServer({ chain: 5 });
+
+  const heights = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 5);
+    const heights = [];
+    for await (const { block } of chainFollower()) {
+      heights.push(block.height);
+    }
+    done(heights);
+  }, server.url);
+
+  t.deepEqual(heights, [1, 2, 3, 4, 5]);
+
+  await server.close();
+});
+
+test("🎉 mock: await next blocks from the tip", async (t) => {
+  const server = await startMockServer({ chain: 5 });
+
+  const blocks = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(2);
+    setTimeout(() => server.rollForward(2), 10);
+    const blocks = [];
+    for await (const { block } of chainFollower()) {
+      blocks.push(block);
+    }
+    done(blocks);
+  }, server.url);
+
+  t.deepEqual(blocks, server.chain.slice(5));
+
+  await server.close();
+});
+
+test("🎉 mock: roll backward to a fork", async (t) => {
+  const server = await startMockServer({ chain: 5 });
+
+  const events = await ogmios(async (ws, done) => {
+    const chainFollower = await ws.newChainFollower(["origin"], 8);
+    const events = [];
+    for await (const event of chainFollower()) {
+      events.push(event);
+      if (events.length === 5) {
+        server.rollBackward(2);
+        server.rollForward(2);
+      }
+    }
+    done(events);
+  }, server.url);
+
+  t.deepEqual(
+    events.map(({ direction }) => direction),
+    ["forward", "forward", "forward", "forward", "forward", "backward", "forward", "forward"],
+  );
+  t.deepEqual(events[5].point, { id: events[2].block.id, slot: events[2].block.slot });
+  t.is(events[6].block.height, 4);
+  t.not(events[6].block.id, events[3].block.id);
+  t.is(events[6].block.ancestor, events[2].block.id);
+
+  await server.close();
+});
+
+test("🎉 mock: settled blocks across a rollback", async (t) => {
+  const server = await startMockServer({ chain: 6 });
+
+  const heights = await ogmios(async (ws, done) => {
+    let forked = false;
+    const chainFollower = await ws.newChainFollower(["origin"], 9, {
+      confirmations: 2,
+      onUnsettled: ({ block }) => {
+        if (block?.height === 6 && !forked) {
+          forked = true;
+          server.rollBackward(1);
+          server.rollForward(2);
+        }
+      },
+    });
+    const heights = [];
+    for await (const { block } of chainFollower()) {
+      heights.push(block.height);
+    }
+    done(heights);
+  }, server.url);
+
+  t.deepEqual(heights, [1, 2, 3, 4, 5]);
+
+  await server.close();
+});
+
+test("🎉 mock: follow the chain across disconnections", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  const intersections = () => server.requests.filter(({ method }) => method === "findIntersection");
+
+  const blocks = await ogmios(async (ws, done) => {
+    // Only a couple of blocks ahead, so that the disconnection happens mid-stream.
+    const chainFollower = await ws.newChainFollower(["origin"], 10, {
+      reconnect: { minDelay: 10 },
+      pipelining: 2,
+    });
+    const blocks = [];
+    for await (const { block } of chainFollower()) {
+      blocks.push({ ...block, reconnected: intersections().length > 1 });
+      if (blocks.length === 4) {
+        server.disconnect();
+      }
+    }
+    done(blocks);
+  }, server.url);
+
+  t.deepEqual(
+    blocks.map(({ height }) => height),
+    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  );
+
+  // Followed again from the last block seen before reconnecting.
+  const { slot, id, height } = blocks.findLast(({ reconnected }) => !reconnected);
+  t.true(height < 10);
+  t.is(intersections().length, 2);
+  t.deepEqual(intersections()[1].params.points[0], { slot, id });
+
+  await server.close();
+});
+
+test("☠️ mock: disconnection", async (t) => {
+  const server = await startMockServer();
+
+  await t.throwsAsync(
+    () =>
+      ogmios(async (ws) => {
+        server.disconnect();
+        await ws.queryLedgerState("tip");
+      }, server.url),
+    { instanceOf: OgmiosConnectionError },
+  );
+
+  await server.close();
+});
+
+test("☠️ mock: injected errors", async (t) => {
+  const server = await startMockServer({ chain: 3 });
+
+  server.injectError("submitTransaction", {
+    code: 3122,
+    message: "Insufficient fee.",
+    data: { minimumRequiredFee: { ada: { lovelace: 170000000000000000000n } } },
+  });
+
+  const error = await ogmios((ws, done) => ws.submitTransaction("84a3").catch(done), server.url);
+
+  t.true(error instanceof SubmitTransactionError);
+  t.is(error.reason, "TransactionFeeTooSmall");
+  t.is(error.data.minimumRequiredFee.ada.lovelace, 170000000000000000000n);
+
+  const id = await ogmios((ws, done) => ws.submitTransaction("84a3").then(done), server.url);
+
+  t.is(typeof id, "string");
+
+  await server.close();
+});
+
+test("☠️ mock: acquire a point not on chain", async (t) => {
+  const server = await startMockServer({ chain: 3 });
+
+  const error = await ogmios(
+    (ws, done) => ws.withLedgerState({ id: "00".repeat(32), slot: 1 }, () => {}).catch(done),
+    server.url,
+  );
+
+  t.true(error instanceof AcquireLedgerStateError);
+  t.is(error.failure, "pointNotOnChain");
+
+  await server.close();
+});
+
+test("🎉 mock: monitor the mempool", async (t) => {
+  const server = await startMockServer({ mempool: [{ id: "a" }, { id: "b" }] });
+
+  const ids = await ogmios(async (ws, done) => {
+    const mempoolMonitor = await ws.newMempoolMonitor();
+    const ids = [];
+    for await (const { id } of mempoolMonitor()) {
+      ids.push(id);
+      if (ids.length === 2) {
+        server.setMempool([{ id: "b" }, { id: "c" }]);
+      }
+      if (ids.length === 3) {
+        break;
+      }
+    }
+    done(ids);
+  }, server.url);
+
+  t.deepEqual(ids, ["a", "b", "c"]);
+
+  await server.close();
+});
+
+test("🎉 mock: client reconnects", async (t) => {
+  const server = await startMockServer({ chain: 1 });
+
+  const client = await createClient(server.url, { pool: 2, reconnect: { minDelay: 10 } });
+
+  server.disconnect();
+
+  await new Promise((resolve) => client.once("reconnecting", resolve));
+  await client.ready;
+
+  t.is(client.state, "open");
+  t.is(server.connections, 2);
+  t.deepEqual(await client.queryNetwork("tip"), server.tip());
+
+  await client.close();
+  await server.close();
+});
+
+test("🎉 mock: client requests while reconnecting", async (t) => {
+  const server = await startMockServer({ chain: 1 });
+
+  const client = await createClient(server.url, { reconnect: { minDelay: 10 } });
+
+  server.disconnect();
+
+  await new Promise((resolve) => client.once("reconnecting", resolve));
+
+  t.is(client.state, "reconnecting");
+
+  // Sent once the connection is open again, rather than to the one lost.
+  t.deepEqual(await client.request("queryNetwork/tip"), server.tip());
+  t.is(client.state, "open");
+
+  await client.close();
+  await server.close();
+});
+
+test("🎉 mock: client acquiring ledger states concurrently", async (t) => {
+  const server = await startMockServer({ chain: 10 });
+
+  const client = await createClient(server.url);
+
+  const point = (i) => ({ id: server.chain[i].id, slot: server.chain[i].slot });
+
+  const [first, second, batch] = await Promise.all([
+    client.withLedgerState(point(3), async (state) => {
+      // Other queries don't run against the acquired state.
+      t.deepEqual(await client.queryLedgerState("tip"), point(9));
+      return state.query("tip");
+    }),
+    client.withLedgerState(point(5), (state) => state.query("tip")),
+    client.queryLedgerStateBatch({ tip: "tip" }, { point: point(7) }),
+  ]);
+
+  t.deepEqual(first, point(3));
+  t.deepEqual(second, point(5));
+  t.deepEqual(batch, { tip: point(7) });
+
+  t.deepEqual(await client.queryLedgerState("tip"), point(9));
+  t.is(server.connections, 2);
+
+  await client.close();
+  await server.close();
+});
+
+test("🎉 mock: batch of ledger-state queries", async (t) => {
+  const server = await startMockServer({
+    chain: 3,
+    ledgerState: { epoch: 42, utxo: ({ addresses }) => addresses.map((address) => ({ address })) },
+  });
+
+  const [results, settled] = await ogmios(
+    (ws, done) =>
+      Promise.all([
+        ws.queryLedgerStateBatch(
+          { tip: "tip", epoch: "epoch", utxo: ["utxo", { addresses: ["addr_test1"] }] },
+          { point: "tip" },
+        ),
+        ws.queryLedgerStateBatch({ epoch: "epoch", foo: "foo" }, { failFast: false }),
+      ]).then(done),
+    server.url,
+  );
+
+  t.deepEqual(results, {
+    tip: { id: server.chain[2].id, slot: server.chain[2].slot },
+    epoch: 42,
+    utxo: [{ address: "addr_test1" }],
+  });
+  t.deepEqual(settled.results, { epoch: 42 });
+  t.deepEqual(Object.keys(settled.errors), ["foo"]);
+  t.true(settled.errors.foo instanceof OgmiosRpcError);
+
+  const error = await ogmios(
+    (ws, done) => ws.queryLedgerStateBatch({ epoch: "epoch", foo: "foo" }).catch(done),
+    server.url,
+  );
+
+  t.true(error instanceof OgmiosRpcError);
+  t.is(error.method, "queryLedgerState/foo");
+
+  await server.close();
+});
+
+test("🎉 mock: stream large results", async (t) => {
+  const server = await startMockServer({
+    ledgerState: {
+      utxo: [
+        { transaction: { id: "a" }, index: 0, value: { ada: { lovelace: 1 } } },
+        {
+          transaction: { id: "b" },
+          index: 1,
+          value: { ada: { lovelace: 123456789012345678901n } },
+        },
+      ],
+      stakePools: { pool1a: { id: "pool1a", pledge: { ada: { lovelace: 42 } } } },
+    },
+  });
+
+  const { utxo, stakePools, error } = await ogmios(async (ws, done) => {
+    const utxo = [];
+    for await (const entry of ws.streamLedgerState("utxo")) {
+      utxo.push(entry);
+    }
+    const stakePools = [];
+    for await (const entry of ws.streamLedgerState("stakePools")) {
+      stakePools.push(entry);
+    }
+    const error = await ws
+      .streamLedgerState("foo")
+      .next()
+      .catch((e) => e);
+    done({ utxo, stakePools, error });
+  }, server.url);
+
+  t.deepEqual(
+    utxo.map(({ value }) => value.ada.lovelace),
+    [1n, 123456789012345678901n],
+  );
+  t.deepEqual(stakePools, [["pool1a", { id: "pool1a", pledge: { ada: { lovelace: 42n } } }]]);
+  t.true(error instanceof OgmiosRpcError);
+  t.is(error.method, "queryLedgerState/foo");
+
+  await server.close();
+});
+
+test("☠️ mock: a single point to start from", async (t) => {
+  const server = await startMockServer({ chain: 3 });
+
+  const point = { slot: server.chain[1].slot, id: server.chain[1].id };
+
+  for (const args of [[point], [point, 1], [point, { pipelining: 2 }]]) {
+    await t.throwsAsync(() => ogmios((ws) => ws.newChainFollower(...args), server.url), {
+      instanceOf: InvalidArgumentError,
+      message: /expected an Array/,
+    });
+  }
+
+  // Nothing was followed from the tip instead.
+  t.is(server.requests.filter(({ method }) => method === "findIntersection").length, 0);
+
+  await server.close();
+});
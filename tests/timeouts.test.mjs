@@ -0,0 +1,25 @@
+import test from "ava";
+import { ogmios, OgmiosTimeoutError } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+test("☠️ application timeout", async (t) => {
+  // A server that never answers.
+  const server = await startMockServer({
+    handlers: { "queryLedgerState/epoch": () => new Promise(() => {}) },
+  });
+  t.teardown(() => server.close());
+
+  await t.throwsAsync(
+    () =>
+      ogmios((ws, done) => ws.queryLedgerState("epoch").then(done), server.url, { timeout: 100 }),
+    {
+      instanceOf: OgmiosTimeoutError,
+      message: /not done within 100ms/,
+    },
+  );
+
+  t.deepEqual(
+    server.requests.map(({ method }) => method),
+    ["queryLedgerState/epoch"],
+  );
+});
@@ -0,0 +1,152 @@
+import test from "ava";
+import { createUtxoTracker, ogmios, InvalidArgumentError } from "../lib/index.mjs";
+import { startMockServer } from "../lib/testing.mjs";
+
+const ALICE = "addr_test1alice";
+
+const BOB = "addr_test1bob";
+
+const lovelace = (n) => ({ ada: { lovelace: BigInt(n) } });
+
+const output = (address, n) => ({ address, value: lovelace(n) });
+
+const input = (id, index) => ({ transaction: { id }, index });
+
+// The UTxO set of some addresses at a point, computed from the blocks of the mock server's chain.
+function utxoAt(server, point, addresses) {
+  const utxo = new Map();
+
+  for (const block of server.chain) {
+    if (point === "origin" || block.slot > point.slot) {
+      break;
+    }
+    for (const { id, inputs = [], outputs = [] } of block.transactions) {
+      inputs.forEach((i) => utxo.delete(`${i.transaction.id}#${i.index}`));
+      outputs.forEach((o, index) =>
+        utxo.set(`${id}#${index}`, { transaction: { id }, index, ...o }),
+      );
+    }
+  }
+
+  return [...utxo.values()].filter(({ address }) => addresses.includes(address));
+}
+
+function nextChange(tracker) {
+  return new Promise((resolve) => tracker.once("change", resolve));
+}
+
+const refs = (entries) => entries.map(({ transaction, index }) => `${transaction.id}#${index}`);
+
+test("🎉 utxo tracker: forward, backward and reseed", async (t) => {
+  const server = await startMockServer({
+    chain: [
+      { transactions: [{ id: "a", outputs: [output(ALICE, 10), output(BOB, 20)] }] },
+      { transactions: [] },
+    ],
+    ledgerState: {
+      utxo: ({ addresses }, { point }) => utxoAt(server, point, addresses),
+    },
+  });
+
+  await ogmios(async (ws, done) => {
+    const tracker = await createUtxoTracker(ws, { addresses: [ALICE] });
+
+    t.deepEqual(tracker.point, { id: server.chain[1].id, slot: server.chain[1].slot });
+    t.deepEqual(tracker.getUtxo(), [{ transaction: { id: "a" }, index: 0, ...output(ALICE, 10) }]);
+
+    // Spend Alice's output, and produce another one, along with one spent right away.
+    let change = nextChange(tracker);
+    server.rollForward({
+      transactions: [
+        { id: "c", inputs: [input("a", 0)], outputs: [output(BOB, 5), output(ALICE, 4)] },
+        { id: "d", inputs: [input("c", 1)], outputs: [output(ALICE, 3)] },
+      ],
+    });
+    t.like(await change, { reason: "forward", point: { slot: server.chain[2].slot } });
+    t.deepEqual(refs((await change).added), ["d#0"]);
+    t.deepEqual(refs((await change).removed), ["a#0"]);
+    t.deepEqual(refs(tracker.getUtxo()), ["d#0"]);
+
+    // Switch to a fork without that block.
+    change = nextChange(tracker);
+    server.rollBackward(1);
+    t.like(await change, { reason: "backward", point: { slot: server.chain[1].slot } });
+    t.deepEqual(refs((await change).added), ["a#0"]);
+    t.deepEqual(refs((await change).removed), ["d#0"]);
+
+    change = nextChange(tracker);
+    server.rollForward({ transactions: [{ id: "e", outputs: [output(ALICE, 7)] }] });
+    t.deepEqual(refs((await change).added), ["e#0"]);
+    t.deepEqual(refs(tracker.getUtxo()), ["a#0", "e#0"]);
+
+    t.like(await tracker.verify(), { consistent: true, missing: [], unexpected: [] });
+
+    // Switch to a fork older than the snapshot.
+    change = nextChange(tracker);
+    server.rollBackward(server.chain[0]);
+    server.rollForward([
+      { transactions: [{ id: "f", inputs: [input("a", 0)], outputs: [output(ALICE, 9)] }] },
+      { transactions: [] },
+    ]);
+    const { reason, added, removed } = await change;
+    t.is(reason, "reseed");
+    t.deepEqual(refs(added), ["f#0"]);
+    t.deepEqual(refs(removed), ["a#0", "e#0"]);
+    t.deepEqual(tracker.point, { id: server.chain[2].id, slot: server.chain[2].slot });
+
+    const closed = new Promise((resolve) => tracker.once("close", resolve));
+    await tracker.stop();
+    t.is(await closed, undefined);
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("🎉 utxo tracker: verify against the node", async (t) => {
+  let tampered = false;
+
+  const server = await startMockServer({
+    chain: [{ transactions: [{ id: "a", outputs: [output(ALICE, 10), output(ALICE, 20)] }] }],
+    ledgerState: {
+      utxo: ({ addresses }, { point }) => {
+        const utxo = utxoAt(server, point, addresses);
+        return tampered ? [...utxo.slice(1), { transaction: { id: "z" }, index: 0 }] : utxo;
+      },
+    },
+  });
+
+  await ogmios(async (ws, done) => {
+    const tracker = await createUtxoTracker(ws, { addresses: [ALICE] });
+
+    t.like(await tracker.verify(), { consistent: true, point: tracker.point });
+
+    tampered = true;
+
+    const { consistent, missing, unexpected } = await tracker.verify();
+    t.false(consistent);
+    t.deepEqual(refs(missing), ["z#0"]);
+    t.deepEqual(refs(unexpected), ["a#0"]);
+
+    await tracker.stop();
+
+    done();
+  }, server.url);
+
+  await server.close();
+});
+
+test("☠️ utxo tracker: invalid options", async (t) => {
+  const server = await startMockServer();
+
+  await ogmios(async (ws, done) => {
+    for (const options of [{}, { addresses: [] }, { addresses: [ALICE], maxRollback: -1 }]) {
+      await t.throwsAsync(createUtxoTracker(ws, options), { instanceOf: InvalidArgumentError });
+    }
+
+    done();
+  }, server.url);
+
+  await server.close();
+});